@@ -0,0 +1,330 @@
+// Microsoft identity platform sign-in (authorization code + PKCE) with silent token renewal
+const GraphAuth = (function() {
+  'use strict';
+
+  const configStorageKey = 'userDataAppender.authConfig';
+  const defaultConfig = {
+    clientId: '',
+    tenant: 'organizations',
+    authority: 'https://login.microsoftonline.com',
+    scopes: 'User.Read.All'
+  };
+  const graphResource = 'https://graph.microsoft.com/';
+  const oidcScopes = ['openid', 'profile', 'offline_access'];
+  const renewalMarginSeconds = 300;
+  const popupTimeoutMs = 5 * 60 * 1000;
+
+  let config = Object.assign({}, defaultConfig);
+  let tokens = null;
+  let renewalPromise = null;
+
+  function loadConfig() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(configStorageKey) || '{}');
+      config = Object.assign({}, defaultConfig, stored);
+    } catch (error) {
+      console.warn('Unable to read saved sign-in settings:', error);
+      config = Object.assign({}, defaultConfig);
+    }
+  }
+
+  function saveConfig() {
+    try {
+      localStorage.setItem(configStorageKey, JSON.stringify(config));
+    } catch (error) {
+      console.warn('Unable to save sign-in settings:', error);
+    }
+  }
+
+  function getRedirectUri() {
+    return `${window.location.origin}${window.location.pathname}`;
+  }
+
+  function getEndpoint(name) {
+    const authority = (config.authority || defaultConfig.authority).replace(/\/+$/, '');
+    const tenant = encodeURIComponent(config.tenant || defaultConfig.tenant);
+    return `${authority}/${tenant}/oauth2/v2.0/${name}`;
+  }
+
+  function getRequestedScopes() {
+    const graphScopes = (config.scopes || '')
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map(scope => (/^https?:\/\//i.test(scope) || oidcScopes.includes(scope) ? scope : graphResource + scope));
+    return Array.from(new Set([...graphScopes, ...oidcScopes])).join(' ');
+  }
+
+  function base64UrlEncode(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function createRandomString(byteLength) {
+    const bytes = new Uint8Array(byteLength);
+    crypto.getRandomValues(bytes);
+    return base64UrlEncode(bytes);
+  }
+
+  async function createCodeChallenge(verifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return base64UrlEncode(new Uint8Array(digest));
+  }
+
+  function notifyChange() {
+    document.dispatchEvent(new CustomEvent('graphauth:change', {
+      detail: {
+        signedIn: isSignedIn(),
+        accessToken: tokens ? tokens.accessToken : ''
+      }
+    }));
+  }
+
+  function waitForAuthorizationCode(popup, expectedState) {
+    const redirectUri = getRedirectUri();
+
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      const timer = setInterval(() => {
+        if (!popup || popup.closed) {
+          clearInterval(timer);
+          reject(new Error('The sign-in window was closed before sign-in completed.'));
+          return;
+        }
+
+        if (Date.now() - startedAt > popupTimeoutMs) {
+          clearInterval(timer);
+          popup.close();
+          reject(new Error('Sign-in timed out.'));
+          return;
+        }
+
+        let currentUrl;
+        try {
+          currentUrl = new URL(popup.location.href);
+        } catch (error) {
+          // The popup is still on the authorization server's origin.
+          return;
+        }
+
+        if (`${currentUrl.origin}${currentUrl.pathname}` !== redirectUri) {
+          return;
+        }
+
+        clearInterval(timer);
+        popup.close();
+
+        const params = currentUrl.searchParams;
+        if (params.get('error')) {
+          reject(new Error(params.get('error_description') || params.get('error')));
+          return;
+        }
+        if (params.get('state') !== expectedState) {
+          reject(new Error('Sign-in response did not match the request. Try signing in again.'));
+          return;
+        }
+        if (!params.get('code')) {
+          reject(new Error('Sign-in response did not include an authorization code.'));
+          return;
+        }
+        resolve(params.get('code'));
+      }, 250);
+    });
+  }
+
+  async function requestToken(parameters) {
+    const body = new URLSearchParams(Object.assign({
+      client_id: config.clientId,
+      scope: getRequestedScopes()
+    }, parameters));
+
+    const response = await fetch(getEndpoint('token'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: body.toString()
+    });
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || !payload.access_token) {
+      throw new Error(payload.error_description || payload.error || `Token request failed with status ${response.status}`);
+    }
+
+    tokens = {
+      accessToken: payload.access_token,
+      refreshToken: payload.refresh_token || (tokens ? tokens.refreshToken : ''),
+      expiresAt: Date.now() + (Number(payload.expires_in) || 3600) * 1000
+    };
+    return tokens.accessToken;
+  }
+
+  async function signIn() {
+    if (!config.clientId) {
+      throw new Error('Enter the application (client) ID registered for this app.');
+    }
+
+    const verifier = createRandomString(48);
+    const state = createRandomString(16);
+    const challenge = await createCodeChallenge(verifier);
+
+    const authorizeUrl = `${getEndpoint('authorize')}?${new URLSearchParams({
+      client_id: config.clientId,
+      response_type: 'code',
+      response_mode: 'query',
+      redirect_uri: getRedirectUri(),
+      scope: getRequestedScopes(),
+      state,
+      code_challenge: challenge,
+      code_challenge_method: 'S256',
+      prompt: 'select_account'
+    }).toString()}`;
+
+    const popup = window.open(authorizeUrl, 'graphSignIn', 'width=520,height=680');
+    if (!popup) {
+      throw new Error('The sign-in window was blocked. Allow pop-ups for this page and try again.');
+    }
+
+    const code = await waitForAuthorizationCode(popup, state);
+    await requestToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: getRedirectUri(),
+      code_verifier: verifier
+    });
+    notifyChange();
+    return tokens.accessToken;
+  }
+
+  function signOut() {
+    tokens = null;
+    renewalPromise = null;
+    notifyChange();
+  }
+
+  function isSignedIn() {
+    return Boolean(tokens && tokens.accessToken);
+  }
+
+  async function getAccessToken() {
+    if (!isSignedIn()) {
+      return '';
+    }
+
+    const expiresIn = (tokens.expiresAt - Date.now()) / 1000;
+    if (expiresIn > renewalMarginSeconds) {
+      return tokens.accessToken;
+    }
+
+    if (!tokens.refreshToken) {
+      if (expiresIn > 0) return tokens.accessToken;
+      throw new Error('The sign-in session expired. Sign in again to continue.');
+    }
+
+    // Concurrent requests share one renewal instead of each redeeming the refresh token.
+    if (!renewalPromise) {
+      renewalPromise = requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: tokens.refreshToken
+      })
+        .then(token => {
+          notifyChange();
+          return token;
+        })
+        .finally(() => {
+          renewalPromise = null;
+        });
+    }
+    return renewalPromise;
+  }
+
+  function readConfigInputs() {
+    const clientIdInput = document.getElementById('authClientId');
+    const tenantInput = document.getElementById('authTenant');
+    const authorityInput = document.getElementById('authAuthority');
+    const scopesInput = document.getElementById('authScopes');
+
+    config = {
+      clientId: clientIdInput ? clientIdInput.value.trim() : config.clientId,
+      tenant: (tenantInput && tenantInput.value.trim()) || defaultConfig.tenant,
+      authority: (authorityInput && authorityInput.value.trim()) || defaultConfig.authority,
+      scopes: (scopesInput && scopesInput.value.trim()) || defaultConfig.scopes
+    };
+    saveConfig();
+  }
+
+  function populateConfigInputs() {
+    const values = {
+      authClientId: config.clientId,
+      authTenant: config.tenant,
+      authAuthority: config.authority,
+      authScopes: config.scopes
+    };
+    Object.keys(values).forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.value = values[id];
+    });
+
+    const redirectHint = document.getElementById('authRedirectHint');
+    if (redirectHint) {
+      redirectHint.textContent = `Register ${getRedirectUri()} as a single-page application redirect URI.`;
+    }
+  }
+
+  function updateAuthUI(message, type) {
+    const signInButton = document.getElementById('signInButton');
+    const signOutButton = document.getElementById('signOutButton');
+    const statusElement = document.getElementById('authStatus');
+
+    if (signInButton) signInButton.disabled = isSignedIn();
+    if (signOutButton) signOutButton.disabled = !isSignedIn();
+    if (!statusElement) return;
+
+    const text = message || (isSignedIn() ? 'Signed in. Tokens renew automatically during long runs.' : '');
+    statusElement.textContent = text;
+    statusElement.className = text ? `status-message status-${type || 'success'}` : 'status-message';
+    statusElement.style.display = text ? 'flex' : 'none';
+  }
+
+  async function handleSignIn() {
+    readConfigInputs();
+    updateAuthUI('Waiting for sign-in to complete in the pop-up window...', 'info');
+    try {
+      await signIn();
+      updateAuthUI();
+    } catch (error) {
+      console.error('Sign-in failed:', error);
+      updateAuthUI(error.message || 'Sign-in failed.', 'error');
+    }
+  }
+
+  function handleSignOut() {
+    signOut();
+    updateAuthUI();
+  }
+
+  return {
+    initialize: function() {
+      loadConfig();
+      populateConfigInputs();
+
+      ['authClientId', 'authTenant', 'authAuthority', 'authScopes'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('change', readConfigInputs);
+      });
+
+      const signInButton = document.getElementById('signInButton');
+      if (signInButton) signInButton.addEventListener('click', handleSignIn);
+
+      const signOutButton = document.getElementById('signOutButton');
+      if (signOutButton) signOutButton.addEventListener('click', handleSignOut);
+
+      updateAuthUI();
+    },
+
+    signIn,
+    signOut,
+    isSignedIn,
+    getAccessToken
+  };
+})();
@@ -3,23 +3,251 @@ const GraphAPI = (function() {
   'use strict';
 
   const graphBaseUrl = 'https://graph.microsoft.com/v1.0';
+  const batchSize = 20;
+  const defaultConcurrency = 4;
+  const maxConcurrency = 10;
+  const readAllUsersScopes = ['User.Read.All', 'User.ReadWrite.All', 'Directory.Read.All', 'Directory.ReadWrite.All'];
+  const readBasicUsersScopes = ['User.ReadBasic.All', ...readAllUsersScopes];
+  const readGroupMembershipScopes = ['GroupMember.Read.All', 'Group.Read.All', 'Group.ReadWrite.All', 'Directory.Read.All', 'Directory.ReadWrite.All'];
+  const maxGroupChecks = 20;
+  const maxCandidates = 5;
+  const candidateColumnLabel = 'Match Candidates';
+  const previewValueCount = 5;
+  const importPreviewDataRows = 5;
+  const csvDelimiters = [',', ';', '\t', '|'];
+  const plainNumberPattern = /^-?(0|[1-9]\d{0,14})(\.\d+)?$/;
+  const lookupWarningThreshold = 0.8;
+  const alternativeColumnThreshold = 0.5;
+  // Other columns are only scored on the first rows, so the check stays cheap on large tables.
+  const alternativeSampleRows = 200;
+  const statusColumnLabel = 'Lookup Status';
+  const matchedColumnLabel = 'Matched Identifier';
+  const conflictPolicies = ['overwrite', 'fillBlanks', 'suffix', 'skip'];
+  const conflictSuffix = 'Profile';
+  const changedColumnLabel = 'Changed Fields';
+  const lookupStatuses = {
+    found: 'Found',
+    foundSwapped: 'Found via domain swap',
+    foundAlternate: 'Found via other address',
+    partial: 'Found with errors',
+    notFound: 'Not found',
+    multiple: 'Multiple matches',
+    forbidden: 'Forbidden',
+    throttled: 'Throttled',
+    invalid: 'Invalid email',
+    missing: 'Missing value',
+    failed: 'Error'
+  };
+  const guidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  const fieldCategories = [
+    'Identity',
+    'Job & Organization',
+    'Contact',
+    'Location',
+    'Employee Data',
+    'Account',
+    'On-Premises',
+    'Manager & Reports',
+    'Groups'
+  ];
   const fieldDefinitions = [
-    { key: 'displayName', label: 'Display Name' },
-    { key: 'jobTitle', label: 'Job Title' },
-    { key: 'department', label: 'Department' },
-    { key: 'officeLocation', label: 'Office Location' },
-    { key: 'companyName', label: 'Company Name' },
-    { key: 'mail', label: 'Mail' },
-    { key: 'userPrincipalName', label: 'User Principal Name' },
-    { key: 'businessPhones', label: 'Business Phones' },
-    { key: 'mobilePhone', label: 'Mobile Phone' },
-    { key: 'preferredLanguage', label: 'Preferred Language' },
-    { key: 'givenName', label: 'Given Name' },
-    { key: 'surname', label: 'Surname' }
+    { key: 'displayName', label: 'Display Name', category: 'Identity', basic: true, defaultSelected: true },
+    { key: 'givenName', label: 'Given Name', category: 'Identity', basic: true },
+    { key: 'surname', label: 'Surname', category: 'Identity', basic: true },
+    { key: 'userPrincipalName', label: 'User Principal Name', category: 'Identity', basic: true },
+    { key: 'jobTitle', label: 'Job Title', category: 'Job & Organization', defaultSelected: true },
+    { key: 'department', label: 'Department', category: 'Job & Organization', defaultSelected: true },
+    { key: 'companyName', label: 'Company Name', category: 'Job & Organization' },
+    { key: 'officeLocation', label: 'Office Location', category: 'Job & Organization' },
+    { key: 'mail', label: 'Mail', category: 'Contact', basic: true },
+    { key: 'businessPhones', label: 'Business Phones', category: 'Contact' },
+    { key: 'mobilePhone', label: 'Mobile Phone', category: 'Contact' },
+    { key: 'streetAddress', label: 'Street Address', category: 'Location' },
+    { key: 'city', label: 'City', category: 'Location' },
+    { key: 'state', label: 'State', category: 'Location' },
+    { key: 'postalCode', label: 'Postal Code', category: 'Location' },
+    { key: 'country', label: 'Country', category: 'Location' },
+    { key: 'usageLocation', label: 'Usage Location', category: 'Location' },
+    { key: 'employeeId', label: 'Employee ID', category: 'Employee Data' },
+    { key: 'employeeType', label: 'Employee Type', category: 'Employee Data' },
+    { key: 'employeeHireDate', label: 'Employee Hire Date', category: 'Employee Data' },
+    { key: 'accountEnabled', label: 'Account Enabled', category: 'Account' },
+    { key: 'userType', label: 'User Type', category: 'Account' },
+    { key: 'createdDateTime', label: 'Created Date', category: 'Account' },
+    { key: 'preferredLanguage', label: 'Preferred Language', category: 'Account' },
+    { key: 'onPremisesSamAccountName', label: 'On-Premises SAM Account Name', category: 'On-Premises' },
+    {
+      key: 'onPremisesExtensionAttributes',
+      label: 'Extension Attributes 1-15',
+      category: 'On-Premises',
+      columns: Array.from({ length: 15 }, (_, idx) => ({
+        label: `Extension Attribute ${idx + 1}`,
+        path: `extensionAttribute${idx + 1}`
+      }))
+    },
+    { key: 'managerDisplayName', label: 'Manager Display Name', category: 'Manager & Reports', source: 'manager', read: chain => chain[0] && chain[0].displayName },
+    { key: 'managerMail', label: 'Manager Email', category: 'Manager & Reports', source: 'manager', read: chain => chain[0] && chain[0].mail },
+    { key: 'managerJobTitle', label: 'Manager Job Title', category: 'Manager & Reports', source: 'manager', read: chain => chain[0] && chain[0].jobTitle },
+    { key: 'directReportCount', label: 'Direct Report Count', category: 'Manager & Reports', source: 'directReports', read: count => count },
+    {
+      key: 'managementChain',
+      label: 'Management Chain',
+      category: 'Manager & Reports',
+      source: 'manager',
+      options: [
+        { id: 'depth', label: 'Levels above manager', type: 'number', min: 1, max: 5, defaultValue: 1 }
+      ],
+      columns: options => Array.from({ length: options.depth }, (_, idx) => ({
+        label: idx === 0 ? 'Skip-level Manager' : `Level ${idx + 2} Manager`,
+        read: chain => chain[idx + 1] && chain[idx + 1].displayName
+      }))
+    },
+    {
+      key: 'groupMemberships',
+      label: 'Group Memberships',
+      category: 'Groups',
+      source: 'memberOf',
+      scopes: readGroupMembershipScopes,
+      options: [
+        { id: 'transitive', label: 'Include nested group memberships', type: 'checkbox', defaultValue: false },
+        { id: 'prefix', label: 'Only names starting with', type: 'text', placeholder: 'e.g. SG-' }
+      ],
+      read: names => names
+    },
+    {
+      key: 'groupCheck',
+      label: 'Member of Specific Groups (Yes/No)',
+      category: 'Groups',
+      source: 'groupCheck',
+      scopes: readGroupMembershipScopes,
+      options: [
+        { id: 'groups', label: 'Group names or IDs, one per line', type: 'textarea', placeholder: 'All Staff\n00000000-0000-0000-0000-000000000000' }
+      ],
+      columns: (options, context) => context.groupChecks.map(group => ({
+        label: `Member of ${group.displayName}`,
+        read: memberIds => (memberIds.includes(group.id) ? 'Yes' : 'No')
+      }))
+    }
   ];
 
+  const escapeODataString = value => value.replace(/'/g, "''");
+  const addressPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const domainPattern = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+  const lookupModes = {
+    upn: { label: 'UPN or email', swapDomain: true, pattern: addressPattern, patternLabel: 'look like valid addresses' },
+    mail: {
+      label: 'mail address',
+      swapDomain: true,
+      pattern: addressPattern,
+      patternLabel: 'look like valid addresses',
+      filter: value => `mail eq '${escapeODataString(value)}'`
+    },
+    employeeId: { label: 'employee ID', filter: value => `employeeId eq '${escapeODataString(value)}'` },
+    phone: {
+      label: 'phone number',
+      pattern: /^\+?[\d\s().-]{5,}$/,
+      patternLabel: 'look like phone numbers',
+      filter: value => `mobilePhone eq '${escapeODataString(value)}' or businessPhones/any(p:p eq '${escapeODataString(value)}')`
+    },
+    displayName: { label: 'display name', search: value => `"displayName:${value.replace(/["\\]/g, '')}"` },
+    // Not offered in "Match By"; tried last for addresses when other addresses are searched.
+    otherAddress: {
+      label: 'proxy address or other email',
+      filter: value => `proxyAddresses/any(p:p eq 'smtp:${escapeODataString(value)}') or otherMails/any(m:m eq '${escapeODataString(value)}')`
+    }
+  };
+
+  // Data that needs the resolved user's id, requested in a follow-up batch after the profile lookup.
+  const relatedSources = {
+    manager: {
+      label: 'manager',
+      buildRequest: (userId, context) => (context.managerLevels > 1
+        ? {
+            method: 'GET',
+            url: `/users/${userId}?$select=id&$expand=manager($levels=max;$select=id,displayName,mail,jobTitle)&$count=true`,
+            headers: { ConsistencyLevel: 'eventual' }
+          }
+        : { method: 'GET', url: `/users/${userId}/manager?$select=id,displayName,mail,jobTitle` }),
+      parse: (body, context) => {
+        if (!body) return [];
+        if (context.managerLevels <= 1) return [body];
+        const chain = [];
+        for (let manager = body.manager; manager && chain.length < context.managerLevels; manager = manager.manager) {
+          chain.push(manager);
+        }
+        return chain;
+      }
+    },
+    directReports: {
+      label: 'direct reports',
+      buildRequest: userId => ({
+        method: 'GET',
+        url: `/users/${userId}/directReports?$select=id&$top=1&$count=true`,
+        headers: { ConsistencyLevel: 'eventual' }
+      }),
+      parse: body => {
+        if (!body) return 0;
+        const count = Number(body['@odata.count']);
+        return Number.isFinite(count) ? count : (Array.isArray(body.value) ? body.value.length : 0);
+      }
+    },
+    memberOf: {
+      label: 'group memberships',
+      paged: true,
+      buildRequest: (userId, context) => ({
+        method: 'GET',
+        url: `/users/${userId}/${context.transitiveGroups ? 'transitiveMemberOf' : 'memberOf'}/microsoft.graph.group?$select=id,displayName&$top=999`
+      }),
+      parse: (body, context) => {
+        const prefix = context.groupPrefix.toLowerCase();
+        return (body && Array.isArray(body.value) ? body.value : [])
+          .map(group => group.displayName)
+          .filter(name => name && (!prefix || name.toLowerCase().startsWith(prefix)))
+          .sort((a, b) => a.localeCompare(b));
+      }
+    },
+    groupCheck: {
+      label: 'group membership check',
+      buildRequest: (userId, context) => ({
+        method: 'POST',
+        url: `/users/${userId}/checkMemberGroups`,
+        headers: { 'Content-Type': 'application/json' },
+        body: { groupIds: context.groupChecks.map(group => group.id) }
+      }),
+      parse: body => (body && Array.isArray(body.value) ? body.value : [])
+    }
+  };
+
   let accessToken = '';
   let loginDomain = '';
+  let activeScheduler = null;
+  let activeProgressReporter = null;
+  let resumeRowIds = null;
+  let loadingSheet = false;
+  let pendingImport = null;
+  let activeSheetEdited = false;
+  // Columns of a loaded CSV or pasted list, so an Excel export can tell appended columns apart.
+  let sourceColumns = [];
+  // Lookup column named by a preset or chosen by the user, applied again when a new table is loaded.
+  let preferredLookupColumn = '';
+  // Header overrides, output order and compare pairings for appended columns, keyed by the lower-cased default label.
+  let columnMapping = { order: [], names: {}, compare: {} };
+  // Problem rows by table row id, kept across continued and retried runs, sorts and deletes until another table is loaded.
+  const rowIssues = new Map();
+  // Directory object ids found for each row id, so rows that reach the same user through different addresses count as duplicates.
+  const resolvedUserIds = new Map();
+  let tokenCountdownTimer = null;
+  const cacheTtlPreferenceKey = 'userDataAppender.profileCacheTtl';
+  const sessionSaveDelay = 2000;
+  const sessionTokenPreferenceKey = 'userDataAppender.saveSessionToken';
+  let sessionSaveTimer = null;
+  let sessionTableChanged = false;
+  // A saved session waiting for "Restore" or "Discard"; nothing is autosaved over it until then.
+  let pendingSession = null;
+  // Rows of the run in progress with the results of those already finished, saved so an interrupted run can be continued.
+  let sessionRun = null;
+  // Results an interrupted run had finished, restored from the saved session: { settingsKey, rows } with rows by row id.
+  let resumeResults = null;
 
   function decodeJwtPayload(token) {
     if (!token || typeof token !== 'string') {
@@ -61,336 +289,2226 @@ const GraphAPI = (function() {
     return domainSource.slice(atIndex + 1).toLowerCase();
   }
 
-  function updateDetectedDomainHint() {
-    const element = document.getElementById('detectedDomainHint');
-    if (!element) return;
+  function getTokenScopes(payload) {
+    const delegated = typeof payload.scp === 'string' ? payload.scp.split(' ') : [];
+    const application = Array.isArray(payload.roles) ? payload.roles : [];
+    return [...delegated, ...application].filter(Boolean);
+  }
 
-    if (loginDomain) {
-      element.textContent = `Detected sign-in domain: @${loginDomain}`;
-    } else {
-      element.textContent = 'Detected sign-in domain: not detected yet.';
+  function inspectToken(token) {
+    const payload = decodeJwtPayload(token);
+    if (!payload) {
+      return null;
     }
+
+    return {
+      tenantId: payload.tid || '',
+      user: payload.name && (payload.upn || payload.preferred_username)
+        ? `${payload.name} (${payload.upn || payload.preferred_username})`
+        : payload.name || payload.upn || payload.preferred_username || payload.app_displayname || '',
+      scopes: getTokenScopes(payload),
+      isAppOnly: !payload.scp && Array.isArray(payload.roles),
+      expiresAt: Number.isFinite(payload.exp) ? payload.exp * 1000 : null
+    };
   }
 
-  function buildLookupContext(emailValue) {
-    const rawEmail = typeof emailValue === 'string' ? emailValue : '';
-    const normalizedEmail = rawEmail.trim();
+  function getFieldScopes(definition) {
+    if (definition && Array.isArray(definition.scopes)) {
+      return definition.scopes;
+    }
+    return definition && definition.basic ? readBasicUsersScopes : readAllUsersScopes;
+  }
 
-    if (!normalizedEmail) {
-      return {
-        rawEmail,
-        normalizedEmail: '',
-        identifiers: []
-      };
+  function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = value => String(value).padStart(2, '0');
+    return hours > 0 ? `${hours}h ${pad(minutes)}m ${pad(seconds)}s` : `${minutes}m ${pad(seconds)}s`;
+  }
+
+  function getTokenIssue() {
+    if (!accessToken) {
+      return '';
     }
 
-    const identifiers = [];
-    identifiers.push(normalizedEmail);
+    const details = inspectToken(accessToken);
+    if (!details) {
+      return '';
+    }
 
-    const normalizedDomain = loginDomain ? loginDomain.replace(/^@/, '').toLowerCase() : '';
-    const separatorIndex = normalizedEmail.indexOf('@');
-    const localPart = separatorIndex !== -1 ? normalizedEmail.slice(0, separatorIndex) : normalizedEmail;
+    // Signed-in sessions renew the token before each request, so only pasted tokens can run out.
+    if (details.expiresAt && details.expiresAt <= Date.now() && !GraphAuth.isSignedIn()) {
+      const expiredAt = new Date(details.expiresAt).toLocaleTimeString();
+      return `The access token expired at ${expiredAt}. Sign in again or paste a new token before fetching.`;
+    }
 
-    if (normalizedDomain && localPart) {
-      const swappedIdentifier = `${localPart}@${normalizedDomain}`;
-      const lowerSwapped = swappedIdentifier.toLowerCase();
-      if (!identifiers.some(value => value.toLowerCase() === lowerSwapped)) {
-        identifiers.push(swappedIdentifier);
+    const granted = details.scopes.map(scope => scope.toLowerCase());
+    const missing = new Map();
+    if (!readBasicUsersScopes.some(scope => granted.includes(scope.toLowerCase()))) {
+      missing.set(readBasicUsersScopes.join(', '), ['Looking up users']);
+    }
+    getSelectedFields().forEach(fieldKey => {
+      const definition = fieldDefinitions.find(item => item.key === fieldKey);
+      const acceptedScopes = getFieldScopes(definition);
+      if (acceptedScopes.some(scope => granted.includes(scope.toLowerCase()))) {
+        return;
       }
+      const requirement = acceptedScopes.join(', ');
+      if (!missing.has(requirement)) {
+        missing.set(requirement, []);
+      }
+      missing.get(requirement).push(definition ? definition.label : fieldKey);
+    });
+
+    if (!missing.size) {
+      return '';
     }
 
-    return {
-      rawEmail,
-      normalizedEmail,
-      identifiers
-    };
+    const problems = Array.from(missing.entries())
+      .map(([requirement, labels]) => `${labels.join(', ')} need${labels.length === 1 ? 's' : ''} one of: ${requirement}`);
+    return `The token is missing permissions for the selected fields. ${problems.join('. ')}.`;
   }
 
-  function getSelectedFields() {
-    const checkboxContainer = document.getElementById('fieldCheckboxes');
-    if (!checkboxContainer) return [];
-
-    return Array.from(checkboxContainer.querySelectorAll('input[type="checkbox"]:checked'))
-      .map(input => input.value);
+  function setTokenDetail(elementId, value) {
+    const element = document.getElementById(elementId);
+    if (element) element.textContent = value || '—';
   }
 
-  function updateStatus(elementId, message, type = 'info') {
-    const element = document.getElementById(elementId);
-    if (!element) return;
+  function updateTokenDetails() {
+    const panel = document.getElementById('tokenDetails');
+    if (!panel) return;
 
-    if (!message) {
-      element.textContent = '';
-      element.className = 'status-message';
-      element.style.display = 'none';
+    if (!accessToken) {
+      panel.style.display = 'none';
       return;
     }
 
-    element.textContent = message;
-    element.className = `status-message status-${type}`;
-    element.style.display = 'flex';
-  }
+    const details = inspectToken(accessToken);
+    panel.style.display = 'block';
+    if (!details) {
+      setTokenDetail('tokenTenant', 'Unable to read token details');
+      setTokenDetail('tokenUser', '');
+      setTokenDetail('tokenScopes', '');
+      setTokenDetail('tokenExpiry', '');
+      panel.classList.remove('token-expired');
+      return;
+    }
 
-  function showLoading(message) {
-    const overlay = document.getElementById('loadingOverlay');
-    const text = document.getElementById('loadingText');
-    if (overlay) overlay.classList.add('active');
-    if (text) text.textContent = message || 'Processing...';
-  }
+    setTokenDetail('tokenTenant', details.tenantId);
+    setTokenDetail('tokenUser', details.isAppOnly ? `${details.user} (application)` : details.user);
+    setTokenDetail('tokenScopes', details.scopes.join(', '));
 
-  function hideLoading() {
-    const overlay = document.getElementById('loadingOverlay');
-    if (overlay) overlay.classList.remove('active');
-  }
+    if (!details.expiresAt) {
+      setTokenDetail('tokenExpiry', 'Unknown');
+      panel.classList.remove('token-expired');
+      return;
+    }
 
-  function parseCsvFile(file) {
-    return new Promise((resolve, reject) => {
-      Papa.parse(file, {
-        complete: results => {
-          if (results.errors && results.errors.length > 0) {
-            reject(new Error(results.errors[0].message));
-            return;
-          }
-          const data = Array.isArray(results.data) ? results.data : [];
-          resolve(cleanParsedRows(data));
-        },
-        error: error => reject(error)
-      });
-    });
+    const remaining = details.expiresAt - Date.now();
+    const renewalNote = GraphAuth.isSignedIn() ? ' (renews automatically)' : '';
+    setTokenDetail('tokenExpiry', remaining > 0 ? `in ${formatDuration(remaining)}${renewalNote}` : `Expired${renewalNote}`);
+    panel.classList.toggle('token-expired', remaining <= 0 && !GraphAuth.isSignedIn());
   }
 
-  function parseExcelFile(file) {
-    return file.arrayBuffer().then(buffer => {
-      const workbook = XLSX.read(buffer, { type: 'array' });
-      const firstSheet = workbook.SheetNames[0];
-      if (!firstSheet) {
-        throw new Error('The workbook does not contain any sheets.');
+  function startTokenCountdown() {
+    if (tokenCountdownTimer) {
+      clearInterval(tokenCountdownTimer);
+      tokenCountdownTimer = null;
+    }
+    updateTokenDetails();
+    if (!accessToken) return;
+
+    let hadIssue = Boolean(getTokenIssue());
+    tokenCountdownTimer = setInterval(() => {
+      updateTokenDetails();
+      const hasIssue = Boolean(getTokenIssue());
+      if (hasIssue !== hadIssue) {
+        hadIssue = hasIssue;
+        updateFetchButtonState();
       }
-      const worksheet = workbook.Sheets[firstSheet];
-      const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-      return cleanParsedRows(rows);
-    });
+    }, 1000);
   }
 
-  function cleanParsedRows(rows) {
-    return rows
-      .map(row => Array.isArray(row) ? row.map(cell => (cell === null || cell === undefined ? '' : cell)) : [])
-      .filter(row => row.some(cell => cell !== '' && cell !== null && cell !== undefined));
+  function applyAccessToken(token) {
+    accessToken = token || '';
+    loginDomain = accessToken ? extractDomainFromToken(accessToken) : '';
+    updateDetectedDomainHint();
+    startTokenCountdown();
+    updateFetchButtonState();
+    updateContinueButton();
+    updateIssueButtons();
+    updateRefetchButton();
   }
 
-  function handleFileUpload(event) {
-    const file = event.target.files ? event.target.files[0] : null;
-    if (!file) return;
+  function getPastedToken() {
+    const tokenInput = document.getElementById('graphToken');
+    return tokenInput ? tokenInput.value.trim() : '';
+  }
 
-    const extension = file.name.split('.').pop().toLowerCase();
-    const supported = ['csv', 'xlsx', 'xls'];
-    if (!supported.includes(extension)) {
-      updateStatus('loadStatus', 'Unsupported file type. Upload a CSV or Excel file.', 'error');
-      event.target.value = '';
-      return;
+  async function resolveAccessToken() {
+    if (!GraphAuth.isSignedIn()) {
+      return accessToken;
     }
-    const uploadArea = document.getElementById('fileUploadArea');
-    if (uploadArea) uploadArea.classList.remove('has-file');
-
-    updateStatus('loadStatus', 'Loading file...', 'info');
-    showLoading('Reading uploaded file...');
 
-    const parser = extension === 'csv' ? parseCsvFile : parseExcelFile;
+    const token = await GraphAuth.getAccessToken();
+    if (token !== accessToken) {
+      applyAccessToken(token);
+    }
+    return token;
+  }
 
-    parser(file)
-      .then(rows => {
-        if (!rows.length) {
-          throw new Error('The file did not contain any data.');
-        }
-        const [headerRow, ...dataRows] = rows;
-        if (!headerRow || !headerRow.length) {
-          throw new Error('The first row of the file must contain headers.');
-        }
+  function updateDetectedDomainHint() {
+    const element = document.getElementById('detectedDomainHint');
+    if (!element) return;
 
-        const columns = headerRow.map((cell, idx) => {
-          const label = cell === null || cell === undefined || cell === '' ? `Column ${idx + 1}` : cell;
-          return label.toString();
-        });
+    if (loginDomain) {
+      element.textContent = `Detected sign-in domain: @${loginDomain}`;
+    } else {
+      element.textContent = 'Detected sign-in domain: not detected yet.';
+    }
 
-        const filteredRows = dataRows
-          .map(row => columns.map((_, idx) => {
-            const value = row[idx];
-            return value === null || value === undefined ? '' : value;
-          }))
-          .filter(row => row.some(cell => cell !== '' && cell !== null && cell !== undefined));
+    const swapInput = document.getElementById('swapDomainInput');
+    if (swapInput) swapInput.placeholder = loginDomain || 'Detected sign-in domain';
+  }
 
-        if (!filteredRows.length) {
-          throw new Error('No data rows were found after the header.');
-        }
+  function getSwapDomain() {
+    const toggle = document.getElementById('domainSwapEnabled');
+    if (toggle && !toggle.checked) return '';
 
-        DataTable.loadData(columns, filteredRows);
-        updateStatus('loadStatus', `${file.name} loaded successfully (${filteredRows.length} rows).`, 'success');
-        if (uploadArea) uploadArea.classList.add('has-file');
-        setSectionCollapsed('loadSection', true);
-        updateStatus('fetchStatus', '');
-        updateDownloadButtons();
-        updateFetchButtonState();
-      })
-      .catch(error => {
-        console.error('Error loading file:', error);
-        updateStatus('loadStatus', error.message || 'Unable to read the uploaded file.', 'error');
-      })
-      .finally(() => hideLoading());
+    const input = document.getElementById('swapDomainInput');
+    const domain = (input && input.value.trim()) || loginDomain || '';
+    return domain.replace(/^@/, '').toLowerCase();
   }
 
-  function handlePasteLoad() {
-    const textarea = document.getElementById('pasteEmails');
-    if (!textarea) return;
+  function updateDomainSwapUI() {
+    const toggle = document.getElementById('domainSwapEnabled');
+    const input = document.getElementById('swapDomainInput');
+    if (input) input.disabled = Boolean(toggle && !toggle.checked);
+  }
 
-    const raw = textarea.value.trim();
-    if (!raw) {
-      updateStatus('loadStatus', 'Paste one or more email addresses to load the table.', 'error');
-      return;
-    }
+  // Alias rules are "old.com → new.com" lines; "->", "=>", a comma or a space also separate the two domains.
+  function parseDomainAliases(text) {
+    return (text || '').split(/\r?\n/).reduce((aliases, line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed) return aliases;
 
-    const emails = raw
-      .split(/\s|,|;|\n|\r/)
-      .map(value => value.trim())
-      .filter(value => value.length > 0);
+      const domains = trimmed.split(/\s*(?:→|->|=>|,)\s*|\s+/).filter(Boolean).map(part => part.replace(/^@/, '').toLowerCase());
+      if (domains.length !== 2 || !domains.every(domain => domainPattern.test(domain))) {
+        throw new Error(`Domain alias line ${index + 1} ("${trimmed}") should look like "oldco.com → newco.com".`);
+      }
+      aliases.push({ from: domains[0], to: domains[1] });
+      return aliases;
+    }, []);
+  }
 
-    if (!emails.length) {
-      updateStatus('loadStatus', 'No valid email addresses were detected.', 'error');
-      return;
-    }
+  function isCheckboxChecked(id) {
+    const checkbox = document.getElementById(id);
+    return Boolean(checkbox && checkbox.checked);
+  }
 
-    const uniqueEmails = Array.from(new Set(emails));
-    const rows = uniqueEmails.map(email => [email]);
-    DataTable.loadData(['Email'], rows);
-    updateStatus('loadStatus', `Loaded ${rows.length} email${rows.length === 1 ? '' : 's'} from pasted list.`, 'success');
-    const uploadArea = document.getElementById('fileUploadArea');
-    if (uploadArea) uploadArea.classList.remove('has-file');
-    setSectionCollapsed('loadSection', true);
-    updateStatus('fetchStatus', '');
-    updateDownloadButtons();
-    updateFetchButtonState();
+  function getAddressOptions() {
+    const aliasInput = document.getElementById('domainAliases');
+    return {
+      swapDomain: getSwapDomain(),
+      aliases: parseDomainAliases(aliasInput ? aliasInput.value : ''),
+      stripPlus: isCheckboxChecked('stripPlusAddressing'),
+      lowercase: isCheckboxChecked('lowercaseAddresses'),
+      searchOtherAddresses: isCheckboxChecked('searchOtherAddresses')
+    };
   }
 
-  function updateAppendModeUI() {
-    const insertInput = document.getElementById('insertIndex');
-    const selectedMode = document.querySelector('input[name="appendMode"]:checked');
-    if (!insertInput) return;
+  // Each attempt is tried only for rows the earlier ones missed: the address itself, its domain
+  // aliases in order, the swap domain, and finally a search of proxy addresses and other emails.
+  function buildLookupContext(cellValue, modeKey, addressOptions = {}) {
+    const rawValue = typeof cellValue === 'string' ? cellValue : '';
+    const normalizedValue = rawValue.trim().replace(/\s+/g, ' ');
+    const mode = lookupModes[modeKey] || lookupModes.upn;
+    const attempts = [];
+
+    function addAttempt(identifier, kind, attemptModeKey = modeKey) {
+      const lowerIdentifier = identifier.toLowerCase();
+      if (!attempts.some(attempt => attempt.modeKey === attemptModeKey && attempt.identifier.toLowerCase() === lowerIdentifier)) {
+        attempts.push({ identifier, modeKey: attemptModeKey, kind });
+      }
+    }
 
-    if (selectedMode && selectedMode.value === 'index') {
-      insertInput.disabled = false;
-    } else {
-      insertInput.disabled = true;
-      insertInput.value = '';
+    if (!normalizedValue) {
+      return {
+        rawValue,
+        normalizedValue: '',
+        attempts
+      };
     }
-  }
 
-  function getAppendMode() {
-    const selected = document.querySelector('input[name="appendMode"]:checked');
-    if (!selected || selected.value === 'end') {
-      return { mode: 'end', index: DataTable.getColumnCount() };
+    if (!mode.swapDomain) {
+      addAttempt(normalizedValue, 'direct');
+      return {
+        rawValue,
+        normalizedValue,
+        attempts
+      };
     }
 
-    const insertInput = document.getElementById('insertIndex');
-    if (!insertInput || !insertInput.value) {
-      return { mode: 'invalid' };
+    let address = normalizedValue;
+    if (addressOptions.stripPlus) {
+      address = address.replace(/^([^@+]+)\+[^@]*@/, '$1@');
     }
+    if (addressOptions.lowercase) {
+      address = address.toLowerCase();
+    }
+    addAttempt(address, 'direct');
 
-    const parsed = Number.parseInt(insertInput.value, 10);
-    if (!Number.isFinite(parsed) || parsed < 1) {
-      return { mode: 'invalid' };
+    const separatorIndex = address.indexOf('@');
+    const localPart = separatorIndex !== -1 ? address.slice(0, separatorIndex) : address;
+    const domain = separatorIndex !== -1 ? address.slice(separatorIndex + 1).toLowerCase() : '';
+
+    if (localPart) {
+      (addressOptions.aliases || []).forEach(alias => {
+        if (alias.from === domain) addAttempt(`${localPart}@${alias.to}`, 'domain');
+      });
+      if (addressOptions.swapDomain) {
+        addAttempt(`${localPart}@${addressOptions.swapDomain}`, 'domain');
+      }
     }
 
-    return { mode: 'index', index: Math.min(parsed - 1, DataTable.getColumnCount()) };
-  }
+    if (addressOptions.searchOtherAddresses && addressPattern.test(address)) {
+      addAttempt(address, 'otherAddress', 'otherAddress');
+    }
 
-  function updateDownloadButtons() {
-    const hasData = DataTable.hasData();
-    const csvButton = document.getElementById('downloadCsvButton');
-    const excelButton = document.getElementById('downloadExcelButton');
-    if (csvButton) csvButton.disabled = !hasData;
-    if (excelButton) excelButton.disabled = !hasData;
+    return {
+      rawValue,
+      normalizedValue,
+      attempts
+    };
   }
 
-  function updateFetchButtonState() {
-    const fetchButton = document.getElementById('fetchButton');
-    if (!fetchButton) return;
-
-    const hasToken = accessToken.length > 0;
-    const hasTableData = DataTable.hasData();
-    const hasFields = getSelectedFields().length > 0;
-    fetchButton.disabled = !(hasToken && hasTableData && hasFields);
+  function describeAttempt(attempt) {
+    if (attempt.kind === 'otherAddress') return `${attempt.identifier} as another address`;
+    if (attempt.cached) return `${attempt.identifier} from the profile cache`;
+    return attempt.identifier;
   }
 
-  function downloadCsv() {
-    const exportData = DataTable.getDataForExport();
-    if (!exportData.columns.length || !exportData.rows.length) return;
+  function guessLookupMode(columnName) {
+    const normalized = (columnName || '').toString().replace(/[^a-z0-9]/gi, '').toLowerCase();
+    if (/employee(id|number|no)|empid|personnel/.test(normalized)) return 'employeeId';
+    if (/phone|mobile|tel/.test(normalized)) return 'phone';
+    if (/userprincipalname|upn|signinname/.test(normalized)) return 'upn';
+    if (/mail/.test(normalized)) return 'upn';
+    if (/name/.test(normalized)) return 'displayName';
+    return 'upn';
+  }
 
-    const csv = Papa.unparse({ fields: exportData.columns, data: exportData.rows });
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `profile-data-${new Date().toISOString().slice(0, 10)}.csv`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+  function getLookupSettings() {
+    const columnSelect = document.getElementById('lookupColumn');
+    const modeSelect = document.getElementById('lookupMode');
+    const columnName = columnSelect ? columnSelect.value : '';
+    const columnIndex = columnName ? DataTable.getColumns().indexOf(columnName) : -1;
+    const modeKey = modeSelect && lookupModes[modeSelect.value] ? modeSelect.value : 'upn';
+    return { columnName, columnIndex, modeKey };
   }
 
-  function downloadExcel() {
-    const exportData = DataTable.getDataForExport();
-    if (!exportData.columns.length || !exportData.rows.length) return;
+  function updateLookupColumnOptions() {
+    const columnSelect = document.getElementById('lookupColumn');
+    if (!columnSelect) return;
 
-    const worksheet = XLSX.utils.aoa_to_sheet([
-      exportData.columns,
-      ...exportData.rows
-    ]);
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'Profile Data');
-    XLSX.writeFile(workbook, `profile-data-${new Date().toISOString().slice(0, 10)}.xlsx`);
-  }
+    const columns = DataTable.getColumns();
+    const previous = columnSelect.value;
+    const detectedIndex = DataTable.findEmailColumn();
 
-  function formatFieldValue(fieldKey, rawValue) {
-    if (rawValue === undefined || rawValue === null) {
-      return '';
+    columnSelect.innerHTML = '';
+    columns.forEach(column => {
+      const option = document.createElement('option');
+      option.value = column;
+      option.textContent = column;
+      columnSelect.appendChild(option);
+    });
+    columnSelect.disabled = columns.length === 0;
+
+    const preferred = columns.find(column => column.toLowerCase() === preferredLookupColumn.toLowerCase());
+    if (preferredLookupColumn && preferred) {
+      columnSelect.value = preferred;
+      return;
     }
-    if (Array.isArray(rawValue)) {
-      return rawValue.filter(Boolean).join('; ');
+
+    if (previous && columns.includes(previous)) {
+      columnSelect.value = previous;
+      return;
     }
-    if (typeof rawValue === 'object') {
-      return JSON.stringify(rawValue);
+
+    const defaultColumn = columns[detectedIndex !== -1 ? detectedIndex : 0];
+    if (defaultColumn !== undefined) {
+      columnSelect.value = defaultColumn;
+      applyGuessedLookupMode(defaultColumn);
     }
-    return rawValue.toString();
   }
 
-  async function fetchUserProfile(email, fields) {
-    const selectFields = fields.join(',');
-    const endpoint = `${graphBaseUrl}/users/${encodeURIComponent(email)}?$select=${selectFields}`;
-    const response = await fetch(endpoint, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
+  function applyGuessedLookupMode(columnName) {
+    const modeSelect = document.getElementById('lookupMode');
+    if (modeSelect) modeSelect.value = guessLookupMode(columnName);
+  }
 
-    if (response.status === 404) {
-      return null;
+  function measureLookupColumn(columnIndex, mode, rowLimit) {
+    const rowCount = Math.min(DataTable.getRowCount(), rowLimit || Infinity);
+    const samples = [];
+    let filled = 0;
+    let matching = 0;
+
+    for (let index = 0; index < rowCount; index++) {
+      const value = DataTable.getCellText(index, columnIndex).trim();
+      if (!value) continue;
+      filled++;
+      if (samples.length < previewValueCount) samples.push(value);
+      if (!mode.pattern || mode.pattern.test(value)) matching++;
     }
 
-    if (!response.ok) {
-      const errorBody = await response.json().catch(() => ({}));
-      const message = errorBody.error && errorBody.error.message
-        ? errorBody.error.message
-        : `Request failed with status ${response.status}`;
-      throw new Error(message);
-    }
+    return { rowCount, filled, matching, samples, share: rowCount ? matching / rowCount : 0 };
+  }
 
-    return response.json();
+  function formatShare(share) {
+    return `${Math.round(share * 100)}%`;
   }
 
-  async function fetchProfileData() {
+  function updateLookupPreview() {
+    const preview = document.getElementById('lookupPreview');
+    const valuesList = document.getElementById('lookupPreviewValues');
+    const summary = document.getElementById('lookupPreviewSummary');
+    if (!preview || !valuesList || !summary) return;
+
+    const settings = getLookupSettings();
+    if (settings.columnIndex === -1 || !DataTable.getRowCount()) {
+      preview.style.display = 'none';
+      updateStatus('lookupWarning', '');
+      return;
+    }
+
+    const mode = lookupModes[settings.modeKey];
+    const stats = measureLookupColumn(settings.columnIndex, mode);
+
+    valuesList.innerHTML = '';
+    stats.samples.forEach(value => {
+      const item = document.createElement('li');
+      item.textContent = value;
+      item.classList.toggle('lookup-preview-invalid', Boolean(mode.pattern) && !mode.pattern.test(value));
+      valuesList.appendChild(item);
+    });
+    if (!stats.samples.length) {
+      const item = document.createElement('li');
+      item.textContent = 'No values in this column.';
+      item.className = 'lookup-preview-invalid';
+      valuesList.appendChild(item);
+    }
+
+    summary.textContent = mode.pattern
+      ? `${formatShare(stats.share)} of ${stats.rowCount} rows ${mode.patternLabel}.`
+      : `${formatShare(stats.filled / stats.rowCount)} of ${stats.rowCount} rows have a value.`;
+    preview.style.display = 'block';
+
+    const warnings = [];
+    if (stats.share < lookupWarningThreshold) {
+      warnings.push(mode.pattern
+        ? `Only ${formatShare(stats.share)} of rows in "${settings.columnName}" ${mode.patternLabel}. Check that this is the right lookup column.`
+        : `Only ${formatShare(stats.share)} of rows in "${settings.columnName}" have a value.`);
+    }
+
+    // A second address-like column (e.g. "Manager Email") is easy to pick up by mistake.
+    if (mode.pattern === addressPattern) {
+      const alternatives = DataTable.getColumns().filter((column, index) => index !== settings.columnIndex
+        && measureLookupColumn(index, mode, alternativeSampleRows).share >= alternativeColumnThreshold);
+      if (alternatives.length) {
+        warnings.push(`Other columns also contain addresses: ${alternatives.join(', ')}. Confirm "${settings.columnName}" identifies the user to look up.`);
+      }
+    }
+
+    updateStatus('lookupWarning', warnings.join(' '), 'warning');
+  }
+
+  function renderFieldCatalog() {
+    const container = document.getElementById('fieldCheckboxes');
+    if (!container) return;
+
+    container.innerHTML = '';
+    fieldCategories.forEach(category => {
+      const definitions = fieldDefinitions.filter(definition => definition.category === category);
+      if (!definitions.length) return;
+
+      const group = document.createElement('div');
+      group.className = 'field-category';
+
+      const heading = document.createElement('h4');
+      heading.textContent = category;
+      group.appendChild(heading);
+
+      const grid = document.createElement('div');
+      grid.className = 'checkbox-grid';
+      definitions.forEach(definition => {
+        const label = document.createElement('label');
+        label.dataset.search = `${definition.label} ${definition.key}`.toLowerCase();
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = definition.key;
+        checkbox.checked = Boolean(definition.defaultSelected);
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(definition.label));
+        grid.appendChild(label);
+
+        if (Array.isArray(definition.options)) {
+          grid.appendChild(createFieldOptions(definition, label));
+        }
+      });
+
+      group.appendChild(grid);
+      container.appendChild(group);
+    });
+  }
+
+  function createFieldOptions(definition, fieldLabel) {
+    const container = document.createElement('div');
+    container.className = 'field-options';
+    container.dataset.optionsFor = definition.key;
+    container.style.display = definition.defaultSelected ? '' : 'none';
+
+    definition.options.forEach(option => {
+      const optionLabel = document.createElement('label');
+      optionLabel.className = option.type === 'textarea' ? 'field-option field-option-block' : 'field-option';
+
+      let input;
+      if (option.type === 'textarea') {
+        input = document.createElement('textarea');
+        input.rows = 3;
+      } else {
+        input = document.createElement('input');
+        input.type = option.type || 'text';
+      }
+      input.dataset.field = definition.key;
+      input.dataset.option = option.id;
+      if (option.type === 'checkbox') {
+        input.checked = Boolean(option.defaultValue);
+      } else {
+        input.value = option.defaultValue === undefined ? '' : option.defaultValue;
+      }
+      if (option.min !== undefined) input.min = option.min;
+      if (option.max !== undefined) input.max = option.max;
+      if (option.placeholder) input.placeholder = option.placeholder;
+
+      if (option.type === 'checkbox') {
+        optionLabel.appendChild(input);
+        optionLabel.appendChild(document.createTextNode(option.label));
+      } else {
+        optionLabel.appendChild(document.createTextNode(option.label));
+        optionLabel.appendChild(input);
+      }
+      container.appendChild(optionLabel);
+    });
+
+    const checkbox = fieldLabel.querySelector('input[type="checkbox"]');
+    checkbox.addEventListener('change', () => {
+      container.style.display = checkbox.checked ? '' : 'none';
+    });
+    return container;
+  }
+
+  function getFieldOptions(fieldKey) {
+    const definition = fieldDefinitions.find(item => item.key === fieldKey);
+    if (!definition || !Array.isArray(definition.options)) {
+      return {};
+    }
+
+    return definition.options.reduce((values, option) => {
+      const input = document.querySelector(`[data-field="${fieldKey}"][data-option="${option.id}"]`);
+      if (option.type === 'checkbox') {
+        values[option.id] = input ? input.checked : Boolean(option.defaultValue);
+      } else if (option.type === 'number') {
+        const parsed = input ? Number.parseInt(input.value, 10) : NaN;
+        const fallback = option.defaultValue;
+        const value = Number.isFinite(parsed) ? parsed : fallback;
+        values[option.id] = Math.max(option.min ?? value, Math.min(value, option.max ?? value));
+      } else {
+        values[option.id] = input ? input.value.trim() : (option.defaultValue || '');
+      }
+      return values;
+    }, {});
+  }
+
+  function filterFieldCatalog(query) {
+    const container = document.getElementById('fieldCheckboxes');
+    if (!container) return;
+
+    const normalizedQuery = (query || '').trim().toLowerCase();
+    let visibleCount = 0;
+
+    container.querySelectorAll('.field-category').forEach(group => {
+      let groupVisible = 0;
+      group.querySelectorAll('label[data-search]').forEach(label => {
+        const matches = !normalizedQuery || label.dataset.search.includes(normalizedQuery);
+        label.style.display = matches ? '' : 'none';
+        const options = label.nextElementSibling;
+        if (options && options.classList.contains('field-options')) {
+          const checkbox = label.querySelector('input[type="checkbox"]');
+          options.style.display = matches && checkbox.checked ? '' : 'none';
+        }
+        if (matches) groupVisible++;
+      });
+      group.style.display = groupVisible ? '' : 'none';
+      visibleCount += groupVisible;
+    });
+
+    const emptyHint = document.getElementById('fieldSearchEmpty');
+    if (emptyHint) emptyHint.style.display = visibleCount ? 'none' : 'block';
+  }
+
+  function getOutputColumns(fieldKeys, context = {}) {
+    return fieldKeys.reduce((columns, fieldKey) => {
+      const definition = fieldDefinitions.find(item => item.key === fieldKey);
+      const readSource = result => (definition && definition.source
+        ? result.related[definition.source]
+        : result.profile[fieldKey]);
+
+      if (definition && typeof definition.columns === 'function') {
+        definition.columns(getFieldOptions(fieldKey), context).forEach(column => {
+          columns.push({
+            label: column.label,
+            read: result => formatFieldValue(fieldKey, column.read(readSource(result)))
+          });
+        });
+        return columns;
+      }
+
+      if (definition && Array.isArray(definition.columns)) {
+        definition.columns.forEach(column => {
+          columns.push({
+            label: column.label,
+            read: result => {
+              const parent = readSource(result);
+              return formatFieldValue(fieldKey, parent ? parent[column.path] : '');
+            }
+          });
+        });
+        return columns;
+      }
+
+      columns.push({
+        label: definition ? definition.label : fieldKey,
+        read: result => formatFieldValue(fieldKey, definition && definition.read
+          ? definition.read(readSource(result))
+          : readSource(result))
+      });
+      return columns;
+    }, []);
+  }
+
+  const getMappingKey = label => label.toLowerCase();
+
+  function applyColumnMapping(outputColumns) {
+    const positions = new Map(columnMapping.order.map((key, idx) => [key, idx]));
+    return outputColumns
+      .map((column, idx) => {
+        const key = getMappingKey(column.label);
+        return { column, key, position: positions.has(key) ? positions.get(key) : columnMapping.order.length + idx };
+      })
+      .sort((a, b) => a.position - b.position)
+      .map(({ column, key }) => {
+        const name = (columnMapping.names[key] || '').trim();
+        return Object.assign({}, column, { key, label: name || column.label });
+      });
+  }
+
+  function isCompareMode() {
+    const selected = document.querySelector('input[name="appendMode"]:checked');
+    return Boolean(selected && selected.value === 'compare');
+  }
+
+  // Unless the user picked one, an output column is compared with the table column of the same name.
+  function getCompareColumn(key, label) {
+    const columns = DataTable.getColumns();
+    const chosen = columnMapping.compare[key];
+    if (chosen !== undefined) {
+      return columns.includes(chosen) ? chosen : '';
+    }
+    const name = ((columnMapping.names[key] || '').trim() || label).toLowerCase();
+    return columns.find(column => column.toLowerCase() === name) || '';
+  }
+
+  function createCompareSelect(key, label) {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', `Existing column to compare with ${label}`);
+
+    const appendOption = document.createElement('option');
+    appendOption.value = '';
+    appendOption.textContent = 'Append as new column';
+    select.appendChild(appendOption);
+    DataTable.getColumns().forEach(column => {
+      const option = document.createElement('option');
+      option.value = column;
+      option.textContent = `Compare with "${column}"`;
+      select.appendChild(option);
+    });
+
+    select.value = getCompareColumn(key, label);
+    select.addEventListener('change', () => {
+      columnMapping.compare[key] = select.value;
+    });
+    return select;
+  }
+
+  function renderColumnMapping() {
+    const group = document.getElementById('columnMappingGroup');
+    const list = document.getElementById('columnMappingList');
+    if (!list) return;
+
+    // Group columns are previewed from the names as typed; the run names them after the resolved groups.
+    const selectedFields = getSelectedFields();
+    const previewGroups = selectedFields.includes('groupCheck')
+      ? parseGroupList(getFieldOptions('groupCheck').groups).map(value => ({ id: value, displayName: value }))
+      : [];
+    const defaults = getOutputColumns(selectedFields, { groupChecks: previewGroups });
+    const labelsByKey = new Map(defaults.map(column => [getMappingKey(column.label), column.label]));
+
+    // Columns that are still selected keep their place; newly selected ones are added at the end.
+    columnMapping.order = columnMapping.order
+      .filter(key => labelsByKey.has(key))
+      .concat(Array.from(labelsByKey.keys()).filter(key => !columnMapping.order.includes(key)));
+
+    const compareMode = isCompareMode();
+    list.innerHTML = '';
+    columnMapping.order.forEach((key, idx) => {
+      const label = labelsByKey.get(key);
+      const row = document.createElement('div');
+      row.className = 'column-mapping-row';
+
+      const fieldName = document.createElement('span');
+      fieldName.className = 'column-mapping-field';
+      fieldName.textContent = label;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = label;
+      input.value = columnMapping.names[key] || '';
+      input.setAttribute('aria-label', `Output header for ${label}`);
+      input.addEventListener('input', () => {
+        columnMapping.names[key] = input.value;
+      });
+
+      row.appendChild(fieldName);
+      row.appendChild(input);
+      if (compareMode) {
+        row.appendChild(createCompareSelect(key, label));
+      }
+      row.appendChild(createMappingMoveButton('↑', `Move ${label} up`, idx === 0, () => moveMappedColumn(idx, -1)));
+      row.appendChild(createMappingMoveButton('↓', `Move ${label} down`, idx === columnMapping.order.length - 1, () => moveMappedColumn(idx, 1)));
+      list.appendChild(row);
+    });
+
+    if (group) group.style.display = columnMapping.order.length ? '' : 'none';
+  }
+
+  function createMappingMoveButton(text, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary';
+    button.textContent = text;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function moveMappedColumn(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= columnMapping.order.length) return;
+    const order = columnMapping.order;
+    [order[index], order[target]] = [order[target], order[index]];
+    renderColumnMapping();
+  }
+
+  function getConflictPolicy() {
+    const select = document.getElementById('conflictPolicy');
+    return select && conflictPolicies.includes(select.value) ? select.value : 'overwrite';
+  }
+
+  // Columns that came from the loaded file, as opposed to ones added by earlier fetches.
+  function getSourceColumns() {
+    const activeSheet = Workbook.getActiveSheet();
+    const settings = activeSheet ? Workbook.getHeaderSettings(activeSheet) : null;
+    return settings && Array.isArray(settings.columns) ? settings.columns : sourceColumns;
+  }
+
+  function planColumnWrites(labels, policy) {
+    const currentColumns = new Set(DataTable.getColumns().map(column => column.toLowerCase()));
+    const fileColumns = new Set(getSourceColumns()
+      .map(column => column.toLowerCase())
+      .filter(column => currentColumns.has(column)));
+    const plan = { targets: {}, fillBlanks: [], skipped: [] };
+
+    labels.forEach(label => {
+      if (policy === 'overwrite' || !fileColumns.has(label.toLowerCase())) {
+        plan.targets[label] = label;
+      } else if (policy === 'skip') {
+        plan.skipped.push(label);
+      } else if (policy === 'fillBlanks') {
+        plan.targets[label] = label;
+        plan.fillBlanks.push(label);
+      } else {
+        let target = `${label} (${conflictSuffix})`;
+        for (let counter = 2; fileColumns.has(target.toLowerCase()); counter++) {
+          target = `${label} (${conflictSuffix} ${counter})`;
+        }
+        plan.targets[label] = target;
+      }
+    });
+    return plan;
+  }
+
+  function getProfileSelectFields(fieldKeys) {
+    const selectFields = fieldKeys.filter(fieldKey => {
+      const definition = fieldDefinitions.find(item => item.key === fieldKey);
+      return !definition || !definition.source;
+    });
+    return Array.from(new Set(['id', ...selectFields]));
+  }
+
+  function getRelatedContext(fieldKeys, groupChecks) {
+    const sources = new Set();
+    let managerLevels = 1;
+
+    fieldKeys.forEach(fieldKey => {
+      const definition = fieldDefinitions.find(item => item.key === fieldKey);
+      if (!definition || !definition.source) return;
+      sources.add(definition.source);
+      if (fieldKey === 'managementChain') {
+        managerLevels = Math.max(managerLevels, 1 + getFieldOptions(fieldKey).depth);
+      }
+    });
+
+    const membershipOptions = getFieldOptions('groupMemberships');
+    return {
+      sources: Array.from(sources),
+      managerLevels,
+      transitiveGroups: Boolean(membershipOptions.transitive),
+      groupPrefix: membershipOptions.prefix || '',
+      groupChecks: groupChecks || []
+    };
+  }
+
+  function toRelativeGraphUrl(link) {
+    return link.startsWith(graphBaseUrl) ? link.slice(graphBaseUrl.length) : link;
+  }
+
+  function parseGroupList(rawValue) {
+    return Array.from(new Set((rawValue || '')
+      .split(/\r?\n|;/)
+      .map(value => value.trim())
+      .filter(Boolean)));
+  }
+
+  async function resolveGroupChecks(scheduler, rawValue) {
+    const values = parseGroupList(rawValue);
+
+    if (!values.length) {
+      throw new Error('Enter at least one group name or ID for the "Member of Specific Groups" field.');
+    }
+    if (values.length > maxGroupChecks) {
+      throw new Error(`Check at most ${maxGroupChecks} groups per run.`);
+    }
+
+    const entries = values.map(value => ({
+      value,
+      isId: guidPattern.test(value),
+      request: guidPattern.test(value)
+        ? { method: 'GET', url: `/groups/${value}?$select=id,displayName` }
+        : {
+            method: 'GET',
+            url: `/groups?$filter=${encodeURIComponent(`displayName eq '${value.replace(/'/g, "''")}'`)}&$select=id,displayName`
+          }
+    }));
+
+    await executeBatch(scheduler, entries);
+
+    return entries.map(entry => {
+      if (entry.cancelled) {
+        throw RequestScheduler.createCancelledError();
+      }
+      if (entry.error) {
+        throw new Error(`Unable to look up group "${entry.value}": ${entry.error.message}`);
+      }
+      if (entry.status === 404) {
+        throw new Error(`Group "${entry.value}" was not found.`);
+      }
+      if (!isSuccessStatus(entry.status)) {
+        throw new Error(`Unable to look up group "${entry.value}": ${getErrorMessage(entry.body, entry.status)}`);
+      }
+      if (entry.isId) {
+        return { id: entry.body.id, displayName: entry.body.displayName || entry.value };
+      }
+
+      const matches = Array.isArray(entry.body.value) ? entry.body.value : [];
+      if (!matches.length) {
+        throw new Error(`Group "${entry.value}" was not found.`);
+      }
+      if (matches.length > 1) {
+        throw new Error(`"${entry.value}" matches ${matches.length} groups. Enter the group ID instead.`);
+      }
+      return { id: matches[0].id, displayName: matches[0].displayName || entry.value };
+    });
+  }
+
+  function getSelectedFields() {
+    const checkboxContainer = document.getElementById('fieldCheckboxes');
+    if (!checkboxContainer) return [];
+
+    return Array.from(checkboxContainer.querySelectorAll('input[type="checkbox"]:checked:not([data-option])'))
+      .map(input => input.value);
+  }
+
+  function updateStatus(elementId, message, type = 'info') {
+    const element = document.getElementById(elementId);
+    if (!element) return;
+
+    if (!message) {
+      element.textContent = '';
+      element.className = 'status-message';
+      element.style.display = 'none';
+      return;
+    }
+
+    element.textContent = message;
+    element.className = `status-message status-${type}`;
+    element.style.display = 'flex';
+  }
+
+  function showLoading(message) {
+    const overlay = document.getElementById('loadingOverlay');
+    const text = document.getElementById('loadingText');
+    if (overlay) overlay.classList.add('active');
+    if (text) text.textContent = message || 'Processing...';
+  }
+
+  function hideLoading() {
+    const overlay = document.getElementById('loadingOverlay');
+    if (overlay) overlay.classList.remove('active');
+  }
+
+  function getCsvImportOptions() {
+    const delimiter = document.getElementById('csvDelimiter');
+    const encoding = document.getElementById('csvEncoding');
+    const quoteChar = document.getElementById('csvQuoteChar');
+    const asText = document.getElementById('csvAllText');
+    return {
+      delimiter: delimiter ? delimiter.value.replace('\\t', '\t') : '',
+      encoding: encoding ? encoding.value : 'auto',
+      quoteChar: (quoteChar && quoteChar.value) || '"',
+      asText: asText ? asText.checked : true
+    };
+  }
+
+  function getCsvExportOptions() {
+    const delimiter = document.getElementById('csvExportDelimiter');
+    const bom = document.getElementById('csvExportBom');
+    const lineEnding = document.getElementById('csvExportLineEnding');
+    return {
+      delimiter: delimiter ? delimiter.value.replace('\\t', '\t') : ',',
+      bom: Boolean(bom && bom.checked),
+      newline: lineEnding && lineEnding.value === 'lf' ? '\n' : '\r\n'
+    };
+  }
+
+  function detectEncoding(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+
+    // Without a byte order mark, anything that is not valid UTF-8 is most likely a Windows "ANSI" export.
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      return 'utf-8';
+    } catch (error) {
+      return 'windows-1252';
+    }
+  }
+
+  function decodeText(buffer, encoding) {
+    const bytes = new Uint8Array(buffer);
+    const resolvedEncoding = encoding && encoding !== 'auto' ? encoding : detectEncoding(bytes);
+    return new TextDecoder(resolvedEncoding).decode(bytes);
+  }
+
+  function guessDelimiter(text) {
+    // Papa's own detection gives up on very short files, so count candidates over the first lines instead.
+    const sample = text.split(/\r\n|\n|\r/).filter(line => line.trim()).slice(0, 20);
+    let best = ',';
+    let bestCount = 0;
+    csvDelimiters.forEach(delimiter => {
+      const count = sample.reduce((total, line) => total + line.split(delimiter).length - 1, 0);
+      if (count > bestCount) {
+        best = delimiter;
+        bestCount = count;
+      }
+    });
+    return best;
+  }
+
+  function parseCsvFile(file, options) {
+    return file.arrayBuffer().then(buffer => new Promise((resolve, reject) => {
+      const text = decodeText(buffer, options.encoding);
+      Papa.parse(text, {
+        delimiter: options.delimiter || guessDelimiter(text),
+        quoteChar: options.quoteChar,
+        // Only plain numbers become numbers; values with leading zeros such as employee ids stay text.
+        transform: options.asText ? undefined : value => (plainNumberPattern.test(value) ? Number(value) : value),
+        complete: results => {
+          const errors = results.errors || [];
+          if (errors.length > 0) {
+            // Delimiter errors belong to the whole file and carry no row.
+            const prefix = Number.isInteger(errors[0].row) ? `Row ${errors[0].row + 1}: ` : '';
+            reject(new Error(prefix + errors[0].message));
+            return;
+          }
+          resolve(Array.isArray(results.data) ? results.data : []);
+        },
+        error: error => reject(error)
+      });
+    }));
+  }
+
+  function readUploadedFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const csvOptions = getCsvImportOptions();
+
+    if (extension === 'csv') {
+      return parseCsvFile(file, csvOptions).then(rows => ({ rows, file, fileName: file.name }));
+    }
+    return file.arrayBuffer().then(buffer => {
+      const book = Workbook.parse(buffer);
+      const sheetName = Workbook.getDefaultSheet(book);
+      return {
+        rows: Workbook.readSheetRows(sheetName, { book, asText: csvOptions.asText }),
+        book,
+        sheetName,
+        fileName: file.name
+      };
+    });
+  }
+
+  function reloadPendingImport() {
+    if (!pendingImport) return;
+
+    if (pendingImport.book) {
+      changeImportSheet(pendingImport.sheetName);
+      return;
+    }
+    if (!pendingImport.file) {
+      openImportPreview(Object.assign({}, pendingImport, {
+        rows: normalizeParsedRows(Workbook.readSheetRows(pendingImport.sheetName, { asText: getCsvImportOptions().asText }))
+      }));
+      return;
+    }
+
+    readUploadedFile(pendingImport.file)
+      .then(importData => {
+        importData.rows = normalizeParsedRows(importData.rows);
+        openImportPreview(importData);
+      })
+      .catch(error => {
+        console.error('Error re-reading file:', error);
+        updateStatus('importPreviewStatus', error.message || 'Unable to read the file with these options.', 'error');
+      });
+  }
+
+  function loadSheet(name) {
+    let table = Workbook.getEditedSheet(name);
+    if (!table) {
+      const rows = normalizeParsedRows(Workbook.readSheetRows(name, { asText: getCsvImportOptions().asText }));
+      table = TableImport.buildTable(rows, Workbook.getHeaderSettings(name) || TableImport.detectHeader(rows));
+      table.formats = Workbook.readColumnFormats(name, table);
+      Workbook.setHeaderSettings(name, { headerRow: table.headerRow, headerSpan: table.headerSpan, columns: table.columns });
+    }
+
+    loadingSheet = true;
+    try {
+      DataTable.loadData(table.columns, table.rows, { formats: table.formats });
+    } finally {
+      loadingSheet = false;
+    }
+    Workbook.setActiveSheet(name);
+    activeSheetEdited = false;
+    renderSheetOptions();
+    return table.rows.length;
+  }
+
+  function saveActiveSheet() {
+    const activeSheet = Workbook.getActiveSheet();
+    if (!activeSheet || !activeSheetEdited) return;
+    const exportData = DataTable.getDataForExport();
+    Workbook.saveSheet(activeSheet, exportData.columns, exportData.rows, exportData.formats);
+    activeSheetEdited = false;
+  }
+
+  function switchSheet(name, options = {}) {
+    if (activeScheduler || name === Workbook.getActiveSheet()) return;
+
+    try {
+      // Sheets opened before come back as they were; new ones go through the import preview first.
+      if (options.preview && !Workbook.isEdited(name) && !Workbook.getHeaderSettings(name)) {
+        const rows = normalizeParsedRows(Workbook.readSheetRows(name, { asText: getCsvImportOptions().asText }));
+        openImportPreview({ rows, sheetName: name, fileName: Workbook.getFileName() });
+        return;
+      }
+
+      saveActiveSheet();
+      const rowCount = loadSheet(name);
+      updateStatus('loadStatus', `Showing sheet "${name}" (${rowCount} row${rowCount === 1 ? '' : 's'}).`, 'success');
+      updateStatus('fetchStatus', '');
+    } catch (error) {
+      console.error('Error loading sheet:', error);
+      updateStatus('fetchStatus', `Sheet "${name}": ${error.message}`, 'error');
+      renderSheetOptions();
+    }
+  }
+
+  function renderSheetOptions() {
+    const step = document.getElementById('sheetStep');
+    const select = document.getElementById('sheetSelect');
+    const enrichList = document.getElementById('sheetEnrichList');
+    if (!step || !select || !enrichList) return;
+
+    const sheetNames = Workbook.getSheetNames();
+    const activeSheet = Workbook.getActiveSheet();
+    step.style.display = sheetNames.length > 1 ? '' : 'none';
+
+    select.innerHTML = '';
+    enrichList.innerHTML = '';
+    sheetNames.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = Workbook.isEdited(name) ? `${name} (edited)` : name;
+      select.appendChild(option);
+
+      if (name === activeSheet) return;
+      const label = document.createElement('label');
+      label.className = 'inline-option';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = name;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${name}`));
+      enrichList.appendChild(label);
+    });
+    select.value = activeSheet;
+  }
+
+  function getSheetsToEnrich() {
+    const sheetNames = Workbook.getSheetNames();
+    return Array.from(document.querySelectorAll('#sheetEnrichList input[type="checkbox"]:checked'))
+      .map(input => input.value)
+      .filter(name => sheetNames.includes(name) && name !== Workbook.getActiveSheet());
+  }
+
+  async function fetchSelectedSheets() {
+    const extraSheets = getSheetsToEnrich();
+    if (!extraSheets.length) {
+      await fetchProfileData();
+      return;
+    }
+
+    const firstSheet = Workbook.getActiveSheet();
+    const summaries = [];
+    for (const name of [firstSheet, ...extraSheets]) {
+      switchSheet(name);
+      if (Workbook.getActiveSheet() !== name) return;
+
+      const result = await fetchProfileData();
+      const statusElement = document.getElementById('fetchStatus');
+      if (!result || result.cancelled) {
+        // Stay on this sheet so its message and any "Continue Fetch" state still apply.
+        const reason = statusElement ? statusElement.textContent : '';
+        const finished = summaries.length ? ` Finished sheets: ${summaries.join('; ')}.` : '';
+        updateStatus('fetchStatus', `Sheet "${name}": ${reason}${finished}`, result ? 'warning' : 'error');
+        return;
+      }
+      summaries.push(`${name} (${result.issueCount ? `${result.issueCount} issue${result.issueCount === 1 ? '' : 's'}` : 'no issues'})`);
+    }
+
+    switchSheet(firstSheet);
+    updateStatus('fetchStatus', `Enriched ${summaries.length} sheets: ${summaries.join('; ')}.`, 'success');
+  }
+
+  function normalizeParsedRows(rows) {
+    return rows.map(row => Array.isArray(row) ? row.map(cell => (cell === null || cell === undefined ? '' : cell)) : []);
+  }
+
+  function openImportPreview(importData) {
+    const detected = TableImport.detectHeader(importData.rows);
+    pendingImport = Object.assign({}, importData, { detected, settings: detected });
+    setSectionCollapsed('loadSection', false);
+    renderImportPreview();
+  }
+
+  function closeImportPreview() {
+    pendingImport = null;
+    renderImportPreview();
+    const fileInput = document.getElementById('dataFile');
+    if (fileInput) fileInput.value = '';
+  }
+
+  function formatHeaderRows(settings) {
+    const first = settings.headerRow + 1;
+    return settings.headerSpan > 1 ? `rows ${first}–${first + settings.headerSpan - 1}` : `row ${first}`;
+  }
+
+  function renderImportPreview() {
+    const panel = document.getElementById('importPreview');
+    const table = document.getElementById('importPreviewTable');
+    if (!panel || !table) return;
+
+    if (!pendingImport) {
+      panel.style.display = 'none';
+      table.innerHTML = '';
+      return;
+    }
+    panel.style.display = 'block';
+
+    const { rows, settings, detected, sheetName, fileName, book } = pendingImport;
+    const title = document.getElementById('importPreviewTitle');
+    if (title) title.textContent = `Import Preview: ${sheetName ? `${fileName} – ${sheetName}` : fileName}`;
+
+    const sheetGroup = document.getElementById('importSheetGroup');
+    const sheetSelect = document.getElementById('importSheetSelect');
+    if (sheetGroup && sheetSelect) {
+      const sheetNames = book ? book.SheetNames : [];
+      sheetGroup.style.display = sheetNames.length > 1 ? '' : 'none';
+      sheetSelect.innerHTML = '';
+      sheetNames.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        sheetSelect.appendChild(option);
+      });
+      sheetSelect.value = sheetName || '';
+    }
+
+    const headerRowInput = document.getElementById('headerRowInput');
+    const headerSpanInput = document.getElementById('headerSpanInput');
+    if (headerRowInput) headerRowInput.value = settings.headerRow + 1;
+    if (headerSpanInput) headerSpanInput.value = settings.headerSpan;
+
+    const hint = document.getElementById('headerDetectHint');
+    if (hint) hint.textContent = `Headers detected on ${formatHeaderRows(detected)}. Multi-row and merged headers are combined into one name per column.`;
+
+    const confirmButton = document.getElementById('importConfirmButton');
+    table.innerHTML = '';
+
+    let built;
+    try {
+      built = TableImport.buildTable(rows, settings);
+    } catch (error) {
+      updateStatus('importPreviewStatus', error.message, 'error');
+      if (confirmButton) confirmButton.disabled = true;
+      return;
+    }
+    if (confirmButton) confirmButton.disabled = false;
+    updateStatus('importPreviewStatus', `${built.columns.length} column${built.columns.length === 1 ? '' : 's'} and ${built.rows.length} data row${built.rows.length === 1 ? '' : 's'} will be loaded.`, 'info');
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['Row', ...built.columns].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+
+    // Raw rows up to a few past the header, so skipped title lines and the chosen header are visible.
+    const body = document.createElement('tbody');
+    const lastRow = Math.min(rows.length, built.headerRow + built.headerSpan + importPreviewDataRows);
+    for (let index = 0; index < lastRow; index++) {
+      const tr = document.createElement('tr');
+      if (index < built.headerRow) {
+        tr.className = 'import-row-skipped';
+      } else if (index < built.headerRow + built.headerSpan) {
+        tr.className = 'import-row-header';
+      }
+      const numberCell = document.createElement('td');
+      numberCell.textContent = index + 1;
+      tr.appendChild(numberCell);
+      built.columns.forEach((_, idx) => {
+        const td = document.createElement('td');
+        const value = rows[index] ? rows[index][idx] : '';
+        td.textContent = value === null || value === undefined ? '' : value;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    }
+
+    table.appendChild(head);
+    table.appendChild(body);
+  }
+
+  function updateImportSettings() {
+    if (!pendingImport) return;
+    const headerRowInput = document.getElementById('headerRowInput');
+    const headerSpanInput = document.getElementById('headerSpanInput');
+    const headerRow = Number.parseInt(headerRowInput ? headerRowInput.value : '', 10);
+    const headerSpan = Number.parseInt(headerSpanInput ? headerSpanInput.value : '', 10);
+
+    pendingImport.settings = {
+      headerRow: Number.isFinite(headerRow) && headerRow >= 1 ? Math.min(headerRow, pendingImport.rows.length) - 1 : pendingImport.detected.headerRow,
+      headerSpan: Number.isFinite(headerSpan) ? Math.max(1, Math.min(headerSpan, TableImport.maxHeaderSpan)) : 1
+    };
+    renderImportPreview();
+  }
+
+  function changeImportSheet(sheetName) {
+    if (!pendingImport || !pendingImport.book) return;
+    try {
+      openImportPreview({
+        rows: normalizeParsedRows(Workbook.readSheetRows(sheetName, { book: pendingImport.book, asText: getCsvImportOptions().asText })),
+        book: pendingImport.book,
+        sheetName,
+        fileName: pendingImport.fileName
+      });
+    } catch (error) {
+      updateStatus('importPreviewStatus', error.message, 'error');
+    }
+  }
+
+  function confirmImport() {
+    if (!pendingImport) return;
+    const { rows, settings, sheetName, fileName, book } = pendingImport;
+
+    let message;
+    try {
+      const table = TableImport.buildTable(rows, settings);
+      if (book) {
+        Workbook.load(book, fileName);
+      } else if (sheetName) {
+        saveActiveSheet();
+      }
+
+      if (sheetName) {
+        Workbook.setHeaderSettings(sheetName, { headerRow: table.headerRow, headerSpan: table.headerSpan });
+        loadSheet(sheetName);
+        const sheetCount = Workbook.getSheetNames().length;
+        message = book
+          ? `${fileName} loaded successfully (${table.rows.length} rows${sheetCount > 1 ? ` from sheet "${sheetName}" (${sheetCount} sheets; choose another under "Worksheets")` : ''}).`
+          : `Showing sheet "${sheetName}" (${table.rows.length} row${table.rows.length === 1 ? '' : 's'}).`;
+      } else {
+        Workbook.clear();
+        DataTable.loadData(table.columns, table.rows);
+        sourceColumns = table.columns.slice();
+        renderSheetOptions();
+        message = `${fileName} loaded successfully (${table.rows.length} rows).`;
+      }
+    } catch (error) {
+      console.error('Error loading file:', error);
+      updateStatus('importPreviewStatus', error.message || 'Unable to load the data.', 'error');
+      return;
+    }
+
+    closeImportPreview();
+    updateStatus('loadStatus', message, 'success');
+    const uploadArea = document.getElementById('fileUploadArea');
+    if (uploadArea) uploadArea.classList.add('has-file');
+    setSectionCollapsed('loadSection', true);
+    updateStatus('fetchStatus', '');
+    updateDownloadButtons();
+    updateFetchButtonState();
+  }
+
+  function cancelImport() {
+    const wasSheetSwitch = pendingImport && !pendingImport.book && pendingImport.sheetName;
+    closeImportPreview();
+    renderSheetOptions();
+    updateStatus('loadStatus', wasSheetSwitch ? '' : 'Import cancelled. The table was not changed.', 'info');
+  }
+
+  function handleFileUpload(event) {
+    const file = event.target.files ? event.target.files[0] : null;
+    if (!file) return;
+
+    const extension = file.name.split('.').pop().toLowerCase();
+    const supported = ['csv', 'xlsx', 'xls'];
+    if (!supported.includes(extension)) {
+      updateStatus('loadStatus', 'Unsupported file type. Upload a CSV or Excel file.', 'error');
+      event.target.value = '';
+      return;
+    }
+    const uploadArea = document.getElementById('fileUploadArea');
+    if (uploadArea) uploadArea.classList.remove('has-file');
+
+    updateStatus('loadStatus', 'Loading file...', 'info');
+    showLoading('Reading uploaded file...');
+
+    readUploadedFile(file)
+      .then(importData => {
+        importData.rows = normalizeParsedRows(importData.rows);
+        if (!importData.rows.some(row => row.some(cell => cell !== ''))) {
+          throw new Error('The file did not contain any data.');
+        }
+        openImportPreview(importData);
+        updateStatus('loadStatus', 'Check the header row in the preview, then choose "Load Data".', 'info');
+      })
+      .catch(error => {
+        console.error('Error loading file:', error);
+        updateStatus('loadStatus', error.message || 'Unable to read the uploaded file.', 'error');
+      })
+      .finally(() => hideLoading());
+  }
+
+  function handlePasteLoad() {
+    const textarea = document.getElementById('pasteEmails');
+    if (!textarea) return;
+
+    const raw = textarea.value.trim();
+    if (!raw) {
+      updateStatus('loadStatus', 'Paste one or more email addresses to load the table.', 'error');
+      return;
+    }
+
+    const emails = raw
+      .split(/\s|,|;|\n|\r/)
+      .map(value => value.trim())
+      .filter(value => value.length > 0);
+
+    if (!emails.length) {
+      updateStatus('loadStatus', 'No valid email addresses were detected.', 'error');
+      return;
+    }
+
+    // Addresses are case-insensitive, so "John.Doe@x.com" and "john.doe@x.com" are loaded once, as first written.
+    const seen = new Set();
+    const uniqueEmails = emails.filter(email => {
+      const key = email.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    const rows = uniqueEmails.map(email => [email]);
+    Workbook.clear();
+    DataTable.loadData(['Email'], rows);
+    sourceColumns = ['Email'];
+    renderSheetOptions();
+    updateStatus('loadStatus', `Loaded ${rows.length} email${rows.length === 1 ? '' : 's'} from pasted list.`, 'success');
+    const uploadArea = document.getElementById('fileUploadArea');
+    if (uploadArea) uploadArea.classList.remove('has-file');
+    setSectionCollapsed('loadSection', true);
+    updateStatus('fetchStatus', '');
+    updateDownloadButtons();
+    updateFetchButtonState();
+  }
+
+  function updateAppendModeUI() {
+    const insertInput = document.getElementById('insertIndex');
+    const selectedMode = document.querySelector('input[name="appendMode"]:checked');
+    if (!insertInput) return;
+
+    if (selectedMode && selectedMode.value === 'index') {
+      insertInput.disabled = false;
+    } else {
+      insertInput.disabled = true;
+      insertInput.value = '';
+    }
+  }
+
+  function getAppendMode() {
+    const selected = document.querySelector('input[name="appendMode"]:checked');
+    if (!selected || selected.value === 'end') {
+      return { mode: 'end', index: DataTable.getColumnCount() };
+    }
+    if (selected.value === 'compare') {
+      return { mode: 'compare', index: DataTable.getColumnCount() };
+    }
+
+    const insertInput = document.getElementById('insertIndex');
+    if (!insertInput || !insertInput.value) {
+      return { mode: 'invalid' };
+    }
+
+    const parsed = Number.parseInt(insertInput.value, 10);
+    if (!Number.isFinite(parsed) || parsed < 1) {
+      return { mode: 'invalid' };
+    }
+
+    return { mode: 'index', index: Math.min(parsed - 1, DataTable.getColumnCount()) };
+  }
+
+  function getConcurrency() {
+    const input = document.getElementById('concurrencyInput');
+    const parsed = input ? Number.parseInt(input.value, 10) : NaN;
+    if (!Number.isFinite(parsed)) {
+      return defaultConcurrency;
+    }
+    return Math.max(1, Math.min(parsed, maxConcurrency));
+  }
+
+  function updateDownloadButtons() {
+    const hasData = DataTable.hasData();
+    const csvButton = document.getElementById('downloadCsvButton');
+    const excelButton = document.getElementById('downloadExcelButton');
+    if (csvButton) csvButton.disabled = !hasData;
+    if (excelButton) excelButton.disabled = !hasData;
+    const changesButton = document.getElementById('downloadChangesButton');
+    if (changesButton) changesButton.disabled = !DataTable.hasCellChanges();
+  }
+
+  function updateFetchButtonState() {
+    const fetchButton = document.getElementById('fetchButton');
+    if (!fetchButton) return;
+
+    const hasToken = accessToken.length > 0;
+    const hasTableData = DataTable.hasData();
+    const hasFields = getSelectedFields().length > 0;
+    const tokenIssue = getTokenIssue();
+    fetchButton.disabled = !(hasToken && hasTableData && hasFields) || Boolean(tokenIssue);
+    updateStatus('tokenWarning', tokenIssue, 'error');
+  }
+
+  function downloadCsv() {
+    const exportData = DataTable.getDataForExport({ asText: true });
+    if (!exportData.columns.length || !exportData.rows.length) return;
+
+    saveCsv(exportData.columns, exportData.rows, 'profile-data');
+  }
+
+  // Changed rows are exported with the directory value next to each compared column.
+  function downloadChangedRows() {
+    const exportData = DataTable.getDataForExport({ asText: true });
+    const comparedColumns = [];
+    const changedRows = [];
+    exportData.rows.forEach((row, index) => {
+      const changes = DataTable.getCellChanges(index);
+      if (!changes) return;
+      Object.keys(changes).forEach(column => {
+        if (!comparedColumns.includes(column)) comparedColumns.push(column);
+      });
+      changedRows.push({ row, changes });
+    });
+    if (!changedRows.length) return;
+
+    const rows = changedRows.map(({ row, changes }) => row.concat(comparedColumns.map(column => (
+      changes[column] ? changes[column].after : row[exportData.columns.indexOf(column)]
+    ))));
+    saveCsv(exportData.columns.concat(comparedColumns.map(column => `${column} (Directory)`)), rows, 'changed-rows');
+  }
+
+  function saveCsv(columns, rows, filePrefix) {
+    const options = getCsvExportOptions();
+    const csv = Papa.unparse({ fields: columns, data: rows }, {
+      delimiter: options.delimiter,
+      newline: options.newline
+    });
+    // Excel only reads a CSV as UTF-8 when it starts with a byte order mark.
+    const blob = new Blob([options.bom ? '\uFEFF' : '', csv], { type: 'text/csv;charset=utf-8;' });
+    saveBlob(blob, `${filePrefix}-${new Date().toISOString().slice(0, 10)}.csv`);
+  }
+
+  function saveBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  function downloadExcel() {
+    const exportData = DataTable.getDataForExport();
+    if (!exportData.columns.length || !exportData.rows.length) return;
+
+    if (Workbook.hasWorkbook()) {
+      saveActiveSheet();
+      renderSheetOptions();
+      const baseName = Workbook.getFileName().replace(/\.[^.]+$/, '') || 'profile-data';
+      saveExcel(Workbook.buildExportWorkbook(), `${baseName}-${new Date().toISOString().slice(0, 10)}.xlsx`);
+      return;
+    }
+
+    const worksheet = Workbook.buildSheet(exportData.columns, exportData.rows, {
+      formats: exportData.formats,
+      sourceColumns,
+      freeze: { xSplit: 0, ySplit: 1 }
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Profile Data');
+    saveExcel(workbook, `profile-data-${new Date().toISOString().slice(0, 10)}.xlsx`);
+  }
+
+  function saveExcel(workbook, fileName) {
+    const blob = new Blob([Workbook.write(workbook)], {
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+    saveBlob(blob, fileName);
+  }
+
+  function formatFieldValue(fieldKey, rawValue) {
+    if (rawValue === undefined || rawValue === null) {
+      return '';
+    }
+    if (Array.isArray(rawValue)) {
+      return rawValue.filter(Boolean).join('; ');
+    }
+    if (typeof rawValue === 'object') {
+      return JSON.stringify(rawValue);
+    }
+    return rawValue.toString();
+  }
+
+  function buildProfileRequestUrl(identifier, fields) {
+    return `/users/${encodeURIComponent(identifier)}?$select=${fields.join(',')}`;
+  }
+
+  function buildLookupRequest(modeKey, identifier, fields) {
+    const mode = lookupModes[modeKey] || lookupModes.upn;
+    if (!mode.filter && !mode.search) {
+      return { method: 'GET', url: buildProfileRequestUrl(identifier, fields) };
+    }
+
+    // Collection queries return every candidate so ambiguous matches can be flagged instead of guessed.
+    const query = mode.filter
+      ? `$filter=${encodeURIComponent(mode.filter(identifier))}`
+      : `$search=${encodeURIComponent(mode.search(identifier))}`;
+    return {
+      method: 'GET',
+      url: `/users?${query}&$select=${fields.join(',')}&$count=true&$top=${maxCandidates}`,
+      headers: { ConsistencyLevel: 'eventual' }
+    };
+  }
+
+  function getErrorMessage(errorBody, status) {
+    return errorBody && errorBody.error && errorBody.error.message
+      ? errorBody.error.message
+      : `Request failed with status ${status}`;
+  }
+
+  function getHeaderValue(headers, name) {
+    if (!headers) return '';
+    if (typeof headers.get === 'function') {
+      return headers.get(name) || '';
+    }
+    const match = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+    return match ? headers[match] : '';
+  }
+
+  async function sendBatch(requests, signal) {
+    const token = await resolveAccessToken();
+    let response;
+    try {
+      response = await fetch(`${graphBaseUrl}/$batch`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ requests }),
+        signal
+      });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw RequestScheduler.createCancelledError();
+      }
+      throw RequestScheduler.createRetryableError(`Network error: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const errorBody = await response.json().catch(() => ({}));
+      const message = getErrorMessage(errorBody, response.status);
+      if (RequestScheduler.isRetryableStatus(response.status)) {
+        const retryAfterMs = RequestScheduler.parseRetryAfter(getHeaderValue(response.headers, 'Retry-After'));
+        throw RequestScheduler.createRetryableError(message, response.status, retryAfterMs);
+      }
+      const error = new Error(message);
+      error.status = response.status;
+      throw error;
+    }
+
+    const payload = await response.json();
+    return Array.isArray(payload.responses) ? payload.responses : [];
+  }
+
+  async function executeBatch(scheduler, entries) {
+    let outstanding = entries;
+
+    try {
+      await scheduler.schedule(async (retryAttempt, signal) => {
+        const requests = outstanding.map((entry, idx) => Object.assign({ id: String(idx) }, entry.request));
+
+        const responses = await sendBatch(requests, signal);
+        const responsesById = new Map(responses.map(item => [String(item.id), item]));
+        const retryable = [];
+        let retryStatus = 0;
+        let retryAfterMs = 0;
+
+        outstanding.forEach((entry, idx) => {
+          const result = responsesById.get(String(idx));
+          if (!result) {
+            entry.error = new Error('No response was returned for this request.');
+            return;
+          }
+          if (RequestScheduler.isRetryableStatus(result.status)) {
+            retryable.push(entry);
+            retryStatus = retryStatus === 429 ? retryStatus : result.status;
+            retryAfterMs = Math.max(retryAfterMs, RequestScheduler.parseRetryAfter(getHeaderValue(result.headers, 'Retry-After')));
+            return;
+          }
+          entry.status = result.status;
+          entry.body = result.body;
+        });
+
+        // Only the throttled or failed sub-requests are sent again on retry.
+        outstanding = retryable;
+        if (retryable.length) {
+          throw RequestScheduler.createRetryableError(
+            `Request failed with status ${retryStatus} after repeated retries`,
+            retryStatus,
+            retryAfterMs
+          );
+        }
+      });
+    } catch (error) {
+      outstanding.forEach(entry => {
+        if (error && error.cancelled) {
+          entry.cancelled = true;
+        } else {
+          entry.error = error;
+        }
+      });
+    }
+  }
+
+  function isSuccessStatus(status) {
+    return status >= 200 && status < 300;
+  }
+
+  async function fetchProfileBatch(scheduler, lookups, attempt, fields) {
+    const entries = lookups.map(lookup => {
+      const next = lookup.attempts[attempt];
+      return { lookup, request: buildLookupRequest(next.modeKey, next.identifier, next.fields || fields) };
+    });
+
+    await executeBatch(scheduler, entries);
+
+    entries.forEach(entry => {
+      const lookup = entry.lookup;
+      if (entry.cancelled) {
+        return;
+      }
+      if (entry.error) {
+        lookup.lastError = entry.error;
+      } else if (entry.status !== 404 && !isSuccessStatus(entry.status)) {
+        lookup.lastError = new Error(getErrorMessage(entry.body, entry.status));
+        lookup.lastError.status = entry.status;
+      } else if (entry.status !== 404 && entry.body && Array.isArray(entry.body.value)) {
+        const matches = entry.body.value;
+        const count = Number(entry.body['@odata.count']);
+        if (matches.length === 1) {
+          lookup.profile = matches[0];
+          lookup.matched = lookup.attempts[attempt];
+          lookup.fetchedFields = fields;
+        } else if (matches.length > 1) {
+          lookup.candidateCount = Number.isFinite(count) ? Math.max(count, matches.length) : matches.length;
+        }
+      } else if (entry.status !== 404) {
+        const next = lookup.attempts[attempt];
+        // A cache refresh reads only the stale fields; the cached profile supplies the rest.
+        lookup.profile = next.cached ? Object.assign({}, next.cached.profile, entry.body) : (entry.body || {});
+        lookup.matched = next.cached ? next.cached.matched : next;
+        lookup.fetchedFields = next.fields || fields;
+      }
+      lookup.resolved = Boolean(lookup.profile) || lookup.candidateCount > 1 || lookup.attempts.length <= attempt + 1;
+    });
+  }
+
+  function getFailureStatus(lookup) {
+    if (lookup.candidateCount > 1) return lookupStatuses.multiple;
+    if (!lookup.lastError) return lookupStatuses.notFound;
+    if (lookup.lastError.status === 401 || lookup.lastError.status === 403) return lookupStatuses.forbidden;
+    if (lookup.lastError.status === 429) return lookupStatuses.throttled;
+    return lookupStatuses.failed;
+  }
+
+  function getMatchedIdentifier(lookup) {
+    const attempt = lookup.matched;
+    if (!attempt) return '';
+    // Collection lookups match on a name or number, so the matched account is the useful note.
+    const mode = lookupModes[attempt.modeKey] || lookupModes.upn;
+    if ((mode.filter || mode.search) && lookup.profile.userPrincipalName) {
+      return lookup.profile.userPrincipalName;
+    }
+    return attempt.identifier;
+  }
+
+  async function fetchRelatedBatch(scheduler, lookups, context) {
+    let pendingEntries = [];
+    lookups.forEach(lookup => {
+      context.sources.forEach(sourceKey => {
+        pendingEntries.push({
+          lookup,
+          sourceKey,
+          items: [],
+          request: relatedSources[sourceKey].buildRequest(encodeURIComponent(lookup.profile.id), context)
+        });
+      });
+    });
+
+    // Paged sources follow @odata.nextLink in further batches until every page has been read.
+    const entries = [];
+    while (pendingEntries.length) {
+      await Promise.all(chunkItems(pendingEntries, batchSize).map(chunk => executeBatch(scheduler, chunk)));
+
+      const nextPages = [];
+      pendingEntries.forEach(entry => {
+        const source = relatedSources[entry.sourceKey];
+        const succeeded = !entry.error && !entry.cancelled && isSuccessStatus(entry.status) && entry.body;
+        if (!source.paged || !succeeded) {
+          entries.push(entry);
+          return;
+        }
+
+        const items = entry.items.concat(Array.isArray(entry.body.value) ? entry.body.value : []);
+        const nextLink = entry.body['@odata.nextLink'];
+        if (nextLink) {
+          nextPages.push({
+            lookup: entry.lookup,
+            sourceKey: entry.sourceKey,
+            items,
+            request: { method: 'GET', url: toRelativeGraphUrl(nextLink) }
+          });
+          return;
+        }
+
+        entry.body = Object.assign({}, entry.body, { value: items });
+        entries.push(entry);
+      });
+      pendingEntries = nextPages;
+    }
+
+    const cancelledLookups = new Set(entries.filter(entry => entry.cancelled).map(entry => entry.lookup));
+    entries.forEach(entry => {
+      const lookup = entry.lookup;
+      const source = relatedSources[entry.sourceKey];
+      if (cancelledLookups.has(lookup)) {
+        return;
+      }
+
+      if (entry.error || (entry.status !== 404 && !isSuccessStatus(entry.status))) {
+        const message = entry.error ? entry.error.message : getErrorMessage(entry.body, entry.status);
+        lookup.relatedErrors.push(`unable to read ${source.label} (${message})`);
+        lookup.related[entry.sourceKey] = source.parse(null, context);
+        return;
+      }
+
+      lookup.related[entry.sourceKey] = source.parse(entry.status === 404 ? null : entry.body, context);
+    });
+
+    lookups.forEach(lookup => {
+      lookup.done = !cancelledLookups.has(lookup);
+    });
+  }
+
+  function chunkItems(items, size) {
+    const chunks = [];
+    for (let start = 0; start < items.length; start += size) {
+      chunks.push(items.slice(start, start + size));
+    }
+    return chunks;
+  }
+
+  function setFetchControlsVisible(visible) {
+    const controls = document.getElementById('fetchControls');
+    if (controls) controls.style.display = visible ? 'flex' : 'none';
+    // Sorting, deleting and editing rows are blocked during a run, so the rows and lookup values stay as they were read while results are written.
+    DataTable.setReadOnly(visible);
+    updatePauseButton(false);
+  }
+
+  function updatePauseButton(paused) {
+    const pauseButton = document.getElementById('pauseFetchButton');
+    if (pauseButton) pauseButton.textContent = paused ? '▶️ Resume' : '⏸️ Pause';
+  }
+
+  function togglePauseFetch() {
+    if (!activeScheduler || activeScheduler.isCancelled()) return;
+    if (activeScheduler.isPaused()) {
+      activeScheduler.resume();
+    } else {
+      activeScheduler.pause();
+    }
+    updatePauseButton(activeScheduler.isPaused());
+    if (activeProgressReporter) activeProgressReporter();
+  }
+
+  function cancelFetch() {
+    if (!activeScheduler || activeScheduler.isCancelled()) return;
+    activeScheduler.cancel();
+    updatePauseButton(false);
+    showLoading('Cancelling... keeping the results collected so far.');
+  }
+
+  // Current positions of remembered rows, in table order; deleted rows are left out.
+  function getRowIndexes(rowIds) {
+    return rowIds
+      .map(rowId => DataTable.getRowIndex(rowId))
+      .filter(index => index !== -1)
+      .sort((a, b) => a - b);
+  }
+
+  function clearResumeState() {
+    resumeRowIds = null;
+    resumeResults = null;
+    updateContinueButton();
+  }
+
+  // Rows with a saved result are written without being fetched again, so they are not counted as remaining.
+  function getRemainingResumeRowIds() {
+    return (resumeRowIds || []).filter(rowId => DataTable.getRowIndex(rowId) !== -1
+      && !(resumeResults && resumeResults.rows.has(rowId)));
+  }
+
+  function updateContinueButton() {
+    const continueButton = document.getElementById('continueFetchButton');
+    if (!continueButton) return;
+
+    const count = getRemainingResumeRowIds().length;
+    if (resumeRowIds && getRowIndexes(resumeRowIds).length) {
+      continueButton.textContent = `Continue Fetch (${count} row${count === 1 ? '' : 's'} remaining)`;
+      continueButton.style.display = '';
+      continueButton.disabled = !accessToken;
+    } else {
+      continueButton.style.display = 'none';
+    }
+  }
+
+  function continueFetch() {
+    if (!resumeRowIds || !getRowIndexes(resumeRowIds).length) return;
+    fetchProfileData({ rowIds: resumeRowIds, results: resumeResults });
+  }
+
+  function clearRowIssues() {
+    rowIssues.clear();
+    updateIssueButtons();
+  }
+
+  // Issues of deleted rows are kept, so they come back when the deletion is undone.
+  function getIssueRowIds() {
+    return Array.from(rowIssues.keys()).filter(rowId => DataTable.getRowIndex(rowId) !== -1);
+  }
+
+  function updateIssueButtons() {
+    const retryButton = document.getElementById('retryFailedButton');
+    const reportButton = document.getElementById('downloadIssuesButton');
+    const count = getIssueRowIds().length;
+
+    if (retryButton) {
+      retryButton.textContent = `Retry Failed Rows (${count})`;
+      retryButton.style.display = count ? '' : 'none';
+      retryButton.disabled = !accessToken || Boolean(activeScheduler);
+    }
+    if (reportButton) {
+      reportButton.style.display = count ? '' : 'none';
+    }
+  }
+
+  function retryFailedRows() {
+    const rowIds = getIssueRowIds();
+    if (!rowIds.length) return;
+    fetchProfileData({ rowIds });
+  }
+
+  // Lookup values corrected in the table are marked as edited until a run has looked them up again.
+  function getEditedLookupRowIds() {
+    const columnName = getLookupSettings().columnName;
+    return columnName ? DataTable.getEditedRowIds(columnName) : [];
+  }
+
+  function updateRefetchButton() {
+    const refetchButton = document.getElementById('refetchEditedButton');
+    if (!refetchButton) return;
+
+    const count = getEditedLookupRowIds().length;
+    refetchButton.textContent = `Re-fetch Edited Rows (${count})`;
+    refetchButton.style.display = count ? '' : 'none';
+    refetchButton.disabled = !accessToken || Boolean(activeScheduler);
+  }
+
+  function refetchEditedRows() {
+    const rowIds = getEditedLookupRowIds();
+    if (!rowIds.length) return;
+    fetchProfileData({ rowIds });
+  }
+
+  // Rows are linked when their lookup values are the same address (after the plus-address option) or,
+  // once fetched, when they resolved to the same directory user; each linked set is one group.
+  function findDuplicateGroups(lookupSettings, addressOptions) {
+    const rowCount = DataTable.getRowCount();
+    const parents = Array.from({ length: rowCount }, (_, index) => index);
+    const findRoot = index => {
+      while (parents[index] !== index) {
+        parents[index] = parents[parents[index]];
+        index = parents[index];
+      }
+      return index;
+    };
+    // An edited lookup value no longer identifies the user it was fetched for.
+    const editedRowIds = new Set(DataTable.getEditedRowIds(lookupSettings.columnName));
+    const firstRowByKey = new Map();
+    const valueKeys = new Array(rowCount);
+
+    for (let index = 0; index < rowCount; index++) {
+      const rowId = DataTable.getRowId(index);
+      const context = buildLookupContext(DataTable.getCellText(index, lookupSettings.columnIndex), lookupSettings.modeKey, addressOptions);
+      const value = (context.attempts.length ? context.attempts[0].identifier : context.normalizedValue).toLowerCase();
+      const userId = editedRowIds.has(rowId) ? '' : resolvedUserIds.get(rowId);
+      valueKeys[index] = value;
+      [value && `value:${value}`, userId && `id:${userId}`].filter(Boolean).forEach(key => {
+        if (firstRowByKey.has(key)) {
+          parents[findRoot(index)] = findRoot(firstRowByKey.get(key));
+        } else {
+          firstRowByKey.set(key, index);
+        }
+      });
+    }
+
+    const groupsByRoot = new Map();
+    for (let index = 0; index < rowCount; index++) {
+      const root = findRoot(index);
+      if (!groupsByRoot.has(root)) groupsByRoot.set(root, []);
+      groupsByRoot.get(root).push(index);
+    }
+    return Array.from(groupsByRoot.values())
+      .filter(indexes => indexes.length > 1)
+      .sort((a, b) => a[0] - b[0])
+      .map(indexes => ({
+        rowIds: indexes.map(index => DataTable.getRowId(index)),
+        rowCount: indexes.length,
+        byUser: new Set(indexes.map(index => valueKeys[index])).size > 1
+      }));
+  }
+
+  function findDuplicates() {
+    const lookupSettings = getLookupSettings();
+    if (lookupSettings.columnIndex === -1) {
+      updateStatus('duplicateStatus', 'Choose the column that identifies each user in "Lookup Column".', 'error');
+      return;
+    }
+    let groups;
+    try {
+      groups = findDuplicateGroups(lookupSettings, getAddressOptions());
+    } catch (error) {
+      updateStatus('duplicateStatus', error.message, 'error');
+      return;
+    }
+
+    DataTable.setDuplicateGroups(groups.map(group => group.rowIds));
+    updateDuplicateControls();
+    const fetchNote = resolvedUserIds.size ? '' : ' Fetch profiles first to also group different addresses of the same user.';
+    if (!groups.length) {
+      updateStatus('duplicateStatus', `No duplicate rows found in "${lookupSettings.columnName}".${fetchNote}`, 'success');
+      return;
+    }
+    const rowCount = groups.reduce((total, group) => total + group.rowCount, 0);
+    const byUserCount = groups.filter(group => group.byUser).length;
+    const byUserNote = byUserCount
+      ? ` ${byUserCount} group${byUserCount === 1 ? '' : 's'} matched the same directory user through different addresses.`
+      : '';
+    updateStatus('duplicateStatus', `Found ${groups.length} group${groups.length === 1 ? '' : 's'} of duplicates covering ${rowCount} rows.${byUserNote}${fetchNote}`, 'warning');
+  }
+
+  function resolveDuplicates(strategy) {
+    const result = DataTable.resolveDuplicates(strategy);
+    if (!result) return;
+    const removedLabel = `${result.removedCount} duplicate row${result.removedCount === 1 ? '' : 's'}`;
+    const message = strategy === 'merge'
+      ? `Merged ${result.groupCount} group${result.groupCount === 1 ? '' : 's'} into single rows, removing ${removedLabel} and filling ${result.mergedCellCount} empty cell${result.mergedCellCount === 1 ? '' : 's'}.`
+      : `Removed ${removedLabel}, keeping the ${strategy === 'last' ? 'last' : 'first'} row of each group.`;
+    updateStatus('duplicateStatus', `${message} Use Undo to bring them back.`, 'success');
+  }
+
+  function clearDuplicates() {
+    DataTable.setDuplicateGroups([]);
+    updateStatus('duplicateStatus', '');
+    updateDuplicateControls();
+  }
+
+  function updateDuplicateControls() {
+    const findButton = document.getElementById('findDuplicatesButton');
+    const clearButton = document.getElementById('clearDuplicatesButton');
+    const actions = document.getElementById('duplicateActions');
+    const hasGroups = DataTable.getDuplicateGroupCount() > 0;
+    if (findButton) findButton.disabled = !DataTable.hasData();
+    if (clearButton) clearButton.style.display = hasGroups ? '' : 'none';
+    if (actions) actions.style.display = hasGroups ? '' : 'none';
+  }
+
+  function downloadIssueReport() {
+    const rowIds = getIssueRowIds();
+    if (!rowIds.length) return;
+
+    const exportData = DataTable.getDataForExport({ asText: true });
+    const rows = getRowIndexes(rowIds)
+      .map(index => {
+        const issue = rowIssues.get(DataTable.getRowId(index));
+        return [index + 1, issue.status, issue.message, ...(exportData.rows[index] || [])];
+      });
+    saveCsv(['Row', 'Problem', 'Details', ...exportData.columns], rows, 'lookup-issues');
+  }
+
+  // Storage can be blocked (e.g. private browsing or a sandboxed frame); preferences then keep their defaults.
+  function readPreference(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (error) {
+      console.warn('Unable to read a saved preference:', error);
+      return null;
+    }
+  }
+
+  // A null value removes the preference.
+  function writePreference(key, value) {
+    try {
+      if (value === null) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, value);
+      }
+    } catch (error) {
+      console.warn('Unable to save a preference:', error);
+    }
+  }
+
+  function getCacheTtl() {
+    const select = document.getElementById('profileCacheTtl');
+    const parsed = select ? Number.parseInt(select.value, 10) : NaN;
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+  }
+
+  // Cached profiles belong to the token's tenant; tokens without a tenant id fall back to the sign-in domain.
+  function getCacheTenant() {
+    const details = inspectToken(accessToken);
+    return (details && details.tenantId) || loginDomain;
+  }
+
+  // Keyed by the row's own identifier, not the cache refresh attempt placed ahead of it.
+  function getCacheKey(lookup) {
+    const first = lookup.attempts.find(attempt => !attempt.cached);
+    return `${first.modeKey}:${first.identifier.toLowerCase()}`;
+  }
+
+  // Rows with every field still fresh in the cache skip the lookup. Rows with stale or new fields
+  // first re-read just those by object id, then fall back to the usual attempts if that fails.
+  async function applyCachedProfiles(lookups, tenant, maxAgeMs, fields) {
+    let cached;
+    try {
+      await ProfileCache.purgeExpired(maxAgeMs);
+      cached = await ProfileCache.getEntries(tenant, lookups.map(getCacheKey));
+    } catch (error) {
+      console.warn('Unable to read the profile cache:', error);
+      return null;
+    }
+
+    const stats = { hits: 0, partial: 0, misses: 0 };
+    const now = Date.now();
+    lookups.forEach(lookup => {
+      const entry = cached.get(getCacheKey(lookup));
+      if (!entry || !entry.profile || !entry.profile.id || !entry.matched) {
+        stats.misses++;
+        return;
+      }
+
+      lookup.cacheEntry = entry;
+      const staleFields = ProfileCache.getStaleFields(entry, fields, maxAgeMs, now);
+      if (!staleFields.length) {
+        lookup.profile = Object.assign({}, entry.profile);
+        lookup.matched = entry.matched;
+        lookup.resolved = true;
+        stats.hits++;
+        return;
+      }
+
+      lookup.attempts = [{
+        identifier: entry.profile.id,
+        modeKey: 'upn',
+        kind: 'cache',
+        fields: Array.from(new Set(['id', ...staleFields])),
+        cached: entry
+      }].concat(lookup.attempts);
+      stats.partial++;
+    });
+    return stats;
+  }
+
+  async function storeCachedProfiles(lookups, tenant) {
+    const now = Date.now();
+    const entries = lookups.filter(lookup => lookup.profile && lookup.fetchedFields).map(lookup => {
+      // An entry for a different account (e.g. a reused address) is replaced rather than merged.
+      const previous = lookup.cacheEntry && lookup.cacheEntry.profile.id === lookup.profile.id ? lookup.cacheEntry : null;
+      const fetched = Object.assign({}, previous ? previous.fetched : {});
+      lookup.fetchedFields.forEach(field => {
+        fetched[field] = now;
+      });
+      return {
+        lookupKey: getCacheKey(lookup),
+        profile: Object.assign({}, previous ? previous.profile : {}, lookup.profile),
+        fetched,
+        matched: { identifier: lookup.matched.identifier, modeKey: lookup.matched.modeKey, kind: lookup.matched.kind }
+      };
+    });
+
+    try {
+      await ProfileCache.putEntries(tenant, entries);
+    } catch (error) {
+      console.warn('Unable to update the profile cache:', error);
+    }
+  }
+
+  function formatCacheStats(stats) {
+    const plural = (count, word, suffix = 's') => `${count} ${word}${count === 1 ? '' : suffix}`;
+    const partialNote = stats.partial ? `, ${plural(stats.partial, 'partial hit')}` : '';
+    return `Profile cache: ${plural(stats.hits, 'hit')}${partialNote}, ${plural(stats.misses, 'miss', 'es')}.`;
+  }
+
+  async function updateCacheStatus() {
+    try {
+      const count = await ProfileCache.count();
+      updateStatus('cacheStatus', count ? `${count} profile${count === 1 ? '' : 's'} cached in this browser.` : '', 'info');
+    } catch (error) {
+      updateStatus('cacheStatus', 'The profile cache is not available in this browser.', 'warning');
+    }
+  }
+
+  // Expired profiles are deleted rather than kept until they are looked up again.
+  async function purgeExpiredProfiles() {
+    const cacheTtl = getCacheTtl();
+    if (cacheTtl) {
+      try {
+        await ProfileCache.purgeExpired(cacheTtl);
+      } catch (error) {
+        console.warn('Unable to purge the profile cache:', error);
+      }
+    }
+    updateCacheStatus();
+  }
+
+  async function clearProfileCache() {
+    try {
+      await ProfileCache.clear();
+      updateStatus('cacheStatus', 'Profile cache cleared. The next run fetches every profile from Microsoft Graph.', 'success');
+    } catch (error) {
+      console.error('Error clearing profile cache:', error);
+      updateStatus('cacheStatus', `Unable to clear the profile cache: ${error.message}`, 'error');
+    }
+  }
+
+  async function fetchProfileData(options = {}) {
+    if (activeScheduler) return;
     updateStatus('fetchStatus', '');
 
     if (!accessToken) {
-      updateStatus('fetchStatus', 'Provide a Microsoft Graph access token to fetch profile data.', 'error');
+      updateStatus('fetchStatus', 'Sign in or provide a Microsoft Graph access token to fetch profile data.', 'error');
       return;
     }
 
@@ -405,128 +2523,924 @@ const GraphAPI = (function() {
       return;
     }
 
+    const tokenIssue = getTokenIssue();
+    if (tokenIssue) {
+      updateStatus('fetchStatus', tokenIssue, 'error');
+      return;
+    }
+
     const appendMode = getAppendMode();
     if (appendMode.mode === 'invalid') {
       updateStatus('fetchStatus', 'Enter a valid column position (1 or greater) to insert new data.', 'error');
       return;
     }
 
-    const emailColumnIndex = DataTable.findEmailColumn();
-    if (emailColumnIndex === -1) {
-      updateStatus('fetchStatus', 'Unable to find an email column. Ensure a column named "Email" or "UserPrincipalName" exists.', 'error');
-      return;
+    const lookupSettings = getLookupSettings();
+    if (lookupSettings.columnIndex === -1) {
+      updateStatus('fetchStatus', 'Choose the column that identifies each user in "Lookup Column".', 'error');
+      return;
+    }
+    const lookupMode = lookupModes[lookupSettings.modeKey];
+    let addressOptions;
+    try {
+      addressOptions = getAddressOptions();
+    } catch (error) {
+      updateStatus('fetchStatus', error.message, 'error');
+      return;
+    }
+    const includeStatus = isLookupStatusEnabled();
+    const conflictPolicy = getConflictPolicy();
+    const cacheTtl = getCacheTtl();
+
+    const rowCount = DataTable.getRowCount();
+    if (!rowCount) {
+      updateStatus('fetchStatus', 'No rows available to process.', 'error');
+      return;
+    }
+
+    const rowIndexes = Array.isArray(options.rowIds)
+      ? getRowIndexes(options.rowIds)
+      : Array.from({ length: rowCount }, (_, index) => index);
+    const totalRows = rowIndexes.length;
+    const runRowIds = rowIndexes.map(index => DataTable.getRowId(index));
+    // Saved results are only reused while the fields and lookup settings are the ones they were fetched with.
+    const settingsKey = getFetchSettingsKey();
+    const savedResults = options.results && options.results.settingsKey === settingsKey ? options.results.rows : null;
+
+    let groupChecks = [];
+    if (selectedFields.includes('groupCheck')) {
+      const groupScheduler = RequestScheduler.create({ concurrency: getConcurrency() });
+      activeScheduler = groupScheduler;
+      setFetchControlsVisible(true);
+      showLoading('Resolving groups to check...');
+      try {
+        groupChecks = await resolveGroupChecks(groupScheduler, getFieldOptions('groupCheck').groups);
+      } catch (error) {
+        updateStatus('fetchStatus', error.cancelled ? 'Cancelled before any profiles were fetched.' : error.message, error.cancelled ? 'warning' : 'error');
+        return;
+      } finally {
+        activeScheduler = null;
+        setFetchControlsVisible(false);
+        hideLoading();
+      }
+    }
+
+    const outputColumns = applyColumnMapping(getOutputColumns(selectedFields, { groupChecks }));
+    const fieldLabels = outputColumns.map(column => column.label);
+    const duplicateLabel = fieldLabels.find((label, idx) => (
+      fieldLabels.findIndex(other => other.toLowerCase() === label.toLowerCase()) !== idx
+    ));
+    if (duplicateLabel) {
+      updateStatus('fetchStatus', `More than one output column is named "${duplicateLabel}". Give each column a different header.`, 'error');
+      return;
+    }
+
+    // In compare mode paired fields are checked against the table instead of being written to it.
+    const compareMode = appendMode.mode === 'compare';
+    const compareColumns = {};
+    if (compareMode) {
+      outputColumns.forEach(column => {
+        const existing = getCompareColumn(column.key, column.label);
+        if (existing) compareColumns[column.label] = existing;
+      });
+      if (!Object.keys(compareColumns).length) {
+        updateStatus('fetchStatus', 'Choose an existing column to compare with for at least one field under "Output Columns".', 'error');
+        return;
+      }
+    }
+
+    showLoading(`Retrieving Microsoft 365 profiles (0 of ${totalRows})...`);
+
+    const profileSelectFields = getProfileSelectFields(includeStatus ? selectedFields.concat('userPrincipalName') : selectedFields);
+    const relatedContext = getRelatedContext(selectedFields, groupChecks);
+
+    // Results are kept by row id and only turned into row positions when they are written.
+    // Rows without a result are not written, so a cancelled or continued run keeps earlier values.
+    const valuesByField = fieldLabels.reduce((acc, label) => {
+      acc[label] = new Map();
+      return acc;
+    }, {});
+
+    const rowErrors = new Map();
+    const rowStatuses = new Map();
+    const matchedIdentifiers = new Map();
+    const candidateFlags = new Map();
+    const lookups = [];
+
+    function skipRow(rowId, status, message) {
+      rowErrors.set(rowId, message);
+      rowStatuses.set(rowId, status);
+      matchedIdentifiers.set(rowId, '');
+      fieldLabels.forEach(label => {
+        valuesByField[label].set(rowId, '');
+      });
+    }
+
+    function toRowValues(valuesByRowId) {
+      return Array.from({ length: DataTable.getRowCount() }, (_, index) => valuesByRowId.get(DataTable.getRowId(index)));
+    }
+
+    rowIndexes.forEach((index, position) => {
+      const rowId = runRowIds[position];
+      const cellValue = DataTable.getCellText(index, lookupSettings.columnIndex);
+      const lookupContext = buildLookupContext(cellValue, lookupSettings.modeKey, addressOptions);
+      const normalizedValue = lookupContext.normalizedValue;
+      const displayValue = (lookupContext.rawValue && lookupContext.rawValue.trim()) || normalizedValue;
+
+      if (!normalizedValue) {
+        skipRow(rowId, lookupStatuses.missing, `Row ${index + 1}: missing ${lookupMode.label}.`);
+        return;
+      }
+
+      if (!lookupContext.attempts.length) {
+        skipRow(rowId, lookupStatuses.invalid, `${displayValue}: unable to determine lookup identifier.`);
+        return;
+      }
+
+      // Object ids are accepted by /users/{id}, so only values that are neither are rejected up front.
+      if (lookupMode.pattern === addressPattern
+        && !lookupContext.attempts.some(attempt => addressPattern.test(attempt.identifier) || guidPattern.test(attempt.identifier))) {
+        skipRow(rowId, lookupStatuses.invalid, `${displayValue}: not a valid email address.`);
+        return;
+      }
+
+      lookups.push({
+        rowId,
+        displayValue,
+        attempts: lookupContext.attempts,
+        candidateCount: 0,
+        matched: null,
+        fetchedFields: null,
+        cacheEntry: null,
+        profile: null,
+        related: {},
+        relatedErrors: [],
+        lastError: null,
+        resolved: false,
+        done: false
+      });
+    });
+
+    // Rows an interrupted run had finished are written from their saved results instead of being fetched again.
+    if (savedResults) {
+      lookups.forEach(lookup => {
+        const saved = savedResults.get(lookup.rowId);
+        if (saved) restoreLookupResult(lookup, saved);
+      });
     }
 
-    const rowCount = DataTable.getRowCount();
-    if (!rowCount) {
-      updateStatus('fetchStatus', 'No rows available to process.', 'error');
-      return;
-    }
+    const skippedRows = totalRows - lookups.length;
+    let completed = skippedRows;
+    let passLabel = '';
 
-    showLoading(`Retrieving Microsoft 365 profiles (0 of ${rowCount})...`);
+    function reportProgress() {
+      completed = skippedRows + lookups.filter(lookup => lookup.done).length;
+      if (sessionRun) {
+        lookups.forEach(lookup => {
+          if (lookup.done && !sessionRun.results.has(lookup.rowId)) {
+            sessionRun.results.set(lookup.rowId, saveLookupResult(lookup));
+          }
+        });
+        scheduleSessionSave(false);
+      }
+      const pauseRemaining = scheduler.getPauseRemaining();
+      if (scheduler.isCancelled()) {
+        return;
+      }
+      if (scheduler.isPaused()) {
+        showLoading(`Paused (${completed} of ${totalRows} processed). Resume to continue or cancel to keep the results so far.`);
+        updateStatus('fetchStatus', `Paused after ${completed} of ${totalRows} profiles.`, 'warning');
+        return;
+      }
+      showLoading(`Retrieving Microsoft 365 profiles (${completed} of ${totalRows})...`);
+      if (pauseRemaining > 0) {
+        const seconds = Math.ceil(pauseRemaining / 1000);
+        updateStatus('fetchStatus', `Microsoft Graph is throttling requests. Paused for ${seconds} second${seconds === 1 ? '' : 's'} before continuing (${completed} of ${totalRows} processed).`, 'warning');
+      } else {
+        updateStatus('fetchStatus', `Fetched ${completed} of ${totalRows} profiles${passLabel}...`, 'info');
+      }
+    }
 
-    const fieldLabels = selectedFields.map(field => {
-      const definition = fieldDefinitions.find(item => item.key === field);
-      return definition ? definition.label : field;
+    const scheduler = RequestScheduler.create({
+      concurrency: getConcurrency(),
+      onThrottle: reportProgress
     });
-
-    const valuesByField = fieldLabels.reduce((acc, label) => {
-      acc[label] = new Array(rowCount).fill('');
-      return acc;
-    }, {});
-
-    const errors = [];
+    activeScheduler = scheduler;
+    activeProgressReporter = reportProgress;
+    clearResumeState();
+    // Rows skipped for a missing or invalid value need no request, so they count as finished with no result.
+    const lookupRowIds = new Set(lookups.map(lookup => lookup.rowId));
+    sessionRun = {
+      rowIds: runRowIds,
+      settingsKey,
+      results: new Map(runRowIds.filter(rowId => !lookupRowIds.has(rowId)).map(rowId => [rowId, null]))
+    };
+    scheduleSessionSave(true);
+    setFetchControlsVisible(true);
+    let runResult = null;
 
     try {
-      for (let index = 0; index < rowCount; index++) {
-        const emailCellValue = DataTable.getCellValue(index, emailColumnIndex);
-        const lookupContext = buildLookupContext(emailCellValue);
-        const normalizedEmail = lookupContext.normalizedEmail;
-        const displayEmail = (lookupContext.rawEmail && lookupContext.rawEmail.trim()) || normalizedEmail;
-
-        if (!normalizedEmail) {
-          errors.push(`Row ${index + 1}: missing email address.`);
-          continue;
+      const hasRelated = relatedContext.sources.length > 0;
+      const cacheTenant = cacheTtl ? getCacheTenant() : '';
+      const fetchLookups = lookups.filter(lookup => !lookup.done);
+      const cacheStats = cacheTenant ? await applyCachedProfiles(fetchLookups, cacheTenant, cacheTtl, profileSelectFields) : null;
+      fetchLookups.forEach(lookup => {
+        lookup.done = lookup.resolved && !hasRelated;
+      });
+      let pending = fetchLookups.filter(lookup => !lookup.resolved);
+
+      // Each pass sends the next identifier (e.g. the swapped domain) only for rows that missed.
+      for (let attempt = 0; pending.length; attempt++) {
+        passLabel = attempt === 0 ? '' : ' (retrying with alternate identifiers)';
+        reportProgress();
+
+        // Profiles are cached as each batch arrives, so a run cut short by a refresh or crash keeps what it fetched.
+        await Promise.all(chunkItems(pending, batchSize).map(chunk => fetchProfileBatch(scheduler, chunk, attempt, profileSelectFields)
+          .then(() => (cacheStats ? storeCachedProfiles(chunk, cacheTenant) : null))
+          .then(() => {
+            chunk.forEach(lookup => {
+              lookup.done = lookup.resolved && (!lookup.profile || !hasRelated);
+            });
+            reportProgress();
+          })));
+
+        if (scheduler.isCancelled()) {
+          break;
         }
 
-        const currentPosition = index + 1;
-        showLoading(`Retrieving Microsoft 365 profiles (${currentPosition} of ${rowCount})...`);
-        updateStatus('fetchStatus', `Fetching profile ${currentPosition} of ${rowCount} (${displayEmail})...`, 'info');
+        pending = pending.filter(lookup => !lookup.resolved);
+      }
 
-        try {
-          const lookupIdentifiers = lookupContext.identifiers;
-          if (!lookupIdentifiers.length) {
-            errors.push(`${displayEmail}: unable to determine lookup identifier.`);
-            continue;
-          }
+      if (hasRelated && !scheduler.isCancelled()) {
+        passLabel = ' (reading manager, reporting and group data)';
+        const found = lookups.filter(lookup => lookup.profile && !lookup.done);
+        const lookupsPerBatch = Math.max(1, Math.floor(batchSize / relatedContext.sources.length));
 
-          let profile = null;
-          let lastError = null;
+        await Promise.all(chunkItems(found, lookupsPerBatch).map(chunk => fetchRelatedBatch(scheduler, chunk, relatedContext)
+          .then(reportProgress)));
+      }
 
-          for (const identifier of lookupIdentifiers) {
-            try {
-              const result = await fetchUserProfile(identifier, selectedFields);
-              if (result) {
-                profile = result;
-                break;
-              }
-            } catch (error) {
-              lastError = error;
-            }
-          }
+      const unprocessed = lookups.filter(lookup => !lookup.done);
 
-          if (!profile) {
-            const attempts = lookupIdentifiers.join(', ');
-            if (lastError) {
-              errors.push(`${displayEmail}: ${lastError.message} (tried ${attempts})`);
-            } else {
-              errors.push(`${displayEmail}: user not found (tried ${attempts})`);
-            }
-            continue;
-          }
+      lookups.forEach(lookup => {
+        if (!lookup.done) {
+          return;
+        }
 
-          selectedFields.forEach(fieldKey => {
-            const definition = fieldDefinitions.find(item => item.key === fieldKey);
-            const label = definition ? definition.label : fieldKey;
-            valuesByField[label][index] = formatFieldValue(fieldKey, profile[fieldKey]);
+        if (!lookup.profile) {
+          fieldLabels.forEach(label => {
+            valuesByField[label].set(lookup.rowId, '');
           });
-        } catch (error) {
-          errors.push(`${displayEmail}: ${error.message}`);
+          rowStatuses.set(lookup.rowId, getFailureStatus(lookup));
+          matchedIdentifiers.set(lookup.rowId, '');
+          const attempts = lookup.attempts.map(describeAttempt).join(', ');
+          if (lookup.candidateCount > 1) {
+            candidateFlags.set(lookup.rowId, `${lookup.candidateCount} possible matches`);
+            rowErrors.set(lookup.rowId, `${lookup.displayValue}: ${lookup.candidateCount} users match this ${lookupMode.label}; no values were written.`);
+          } else if (lookup.lastError) {
+            rowErrors.set(lookup.rowId, `${lookup.displayValue}: ${lookup.lastError.message} (tried ${attempts})`);
+          } else {
+            rowErrors.set(lookup.rowId, `${lookup.displayValue}: user not found (tried ${attempts})`);
+          }
+          return;
+        }
+
+        outputColumns.forEach(column => {
+          valuesByField[column.label].set(lookup.rowId, column.read(lookup));
+        });
+        const matchedKind = lookup.matched.kind;
+        rowStatuses.set(lookup.rowId, matchedKind === 'domain'
+          ? lookupStatuses.foundSwapped
+          : (matchedKind === 'otherAddress' ? lookupStatuses.foundAlternate : lookupStatuses.found));
+        matchedIdentifiers.set(lookup.rowId, getMatchedIdentifier(lookup));
+
+        if (lookup.relatedErrors.length) {
+          rowStatuses.set(lookup.rowId, lookupStatuses.partial);
+          rowErrors.set(lookup.rowId, `${lookup.displayValue}: ${lookup.relatedErrors.join('; ')}`);
+        }
+      });
+
+      const errors = runRowIds.map(rowId => rowErrors.get(rowId)).filter(Boolean);
+
+      lookups.forEach(lookup => {
+        if (!lookup.done) return;
+        if (lookup.profile && lookup.profile.id) {
+          resolvedUserIds.set(lookup.rowId, lookup.profile.id);
+        } else {
+          resolvedUserIds.delete(lookup.rowId);
+        }
+      });
+
+      runRowIds.forEach(rowId => {
+        if (!rowStatuses.has(rowId)) return;
+        rowIssues.delete(rowId);
+        if (rowErrors.get(rowId)) {
+          rowIssues.set(rowId, { status: rowStatuses.get(rowId), message: rowErrors.get(rowId) });
         }
+      });
+
+      const appliedLabels = fieldLabels.filter(label => !compareColumns[label]);
+      const changesByRowId = new Map();
+      let changedRowCount = 0;
+      if (compareMode) {
+        const tableColumns = DataTable.getColumns();
+        const changedFields = new Map();
+        lookups.forEach(lookup => {
+          const rowIndex = DataTable.getRowIndex(lookup.rowId);
+          if (!lookup.done || rowIndex === -1) return;
+          const changes = {};
+          if (lookup.profile) {
+            Object.keys(compareColumns).forEach(label => {
+              const columnName = compareColumns[label];
+              const before = DataTable.getCellText(rowIndex, tableColumns.indexOf(columnName));
+              const after = String(valuesByField[label].get(lookup.rowId) ?? '');
+              if (normalizeCompareValue(before) !== normalizeCompareValue(after)) {
+                changes[columnName] = { before, after };
+              }
+            });
+          }
+          changesByRowId.set(lookup.rowId, changes);
+          changedFields.set(lookup.rowId, Object.keys(changes).join(', '));
+          if (changedFields.get(lookup.rowId)) changedRowCount++;
+        });
+        valuesByField[changedColumnLabel] = changedFields;
+        appliedLabels.push(changedColumnLabel);
       }
 
-      DataTable.applyFieldValues(fieldLabels, valuesByField, appendMode);
+      if (Array.from(candidateFlags.values()).some(Boolean) || DataTable.getColumns().includes(candidateColumnLabel)) {
+        lookups.forEach(lookup => {
+          if (lookup.done && !candidateFlags.get(lookup.rowId)) candidateFlags.set(lookup.rowId, '');
+        });
+        valuesByField[candidateColumnLabel] = candidateFlags;
+        appliedLabels.push(candidateColumnLabel);
+      }
+      if (includeStatus) {
+        valuesByField[statusColumnLabel] = rowStatuses;
+        valuesByField[matchedColumnLabel] = matchedIdentifiers;
+        appliedLabels.push(statusColumnLabel, matchedColumnLabel);
+      }
 
-      if (errors.length) {
+      const writePlan = planColumnWrites(appliedLabels, conflictPolicy);
+      const targetLabels = [];
+      const valuesByTarget = {};
+      appliedLabels.forEach(label => {
+        const target = writePlan.targets[label];
+        if (!target) return;
+        targetLabels.push(target);
+        valuesByTarget[target] = toRowValues(valuesByField[label]);
+      });
+      DataTable.applyFieldValues(targetLabels, valuesByTarget, Object.assign({}, appendMode, {
+        mode: compareMode ? 'end' : appendMode.mode,
+        fillBlanks: writePlan.fillBlanks
+      }));
+      if (compareMode) {
+        DataTable.setCellChanges(toRowValues(changesByRowId));
+        updateDownloadButtons();
+      }
+      DataTable.clearEditedCells(runRowIds.filter(rowId => rowStatuses.has(rowId)), lookupSettings.columnName);
+      const compareNote = compareMode
+        ? ` ${changedRowCount} row${changedRowCount === 1 ? '' : 's'} differ${changedRowCount === 1 ? 's' : ''} from the directory.`
+        : '';
+      const conflictNote = writePlan.skipped.length
+        ? ` Existing column${writePlan.skipped.length === 1 ? '' : 's'} left unchanged: ${writePlan.skipped.join(', ')}.`
+        : '';
+      const cacheNote = cacheStats ? ` ${formatCacheStats(cacheStats)}` : '';
+
+      if (unprocessed.length) {
+        const resumeIndexes = unprocessed.map(lookup => DataTable.getRowIndex(lookup.rowId))
+          .filter(index => index !== -1)
+          .sort((a, b) => a - b);
+        resumeRowIds = resumeIndexes.map(index => DataTable.getRowId(index));
+        const processedCount = totalRows - unprocessed.length;
+        const issueNote = errors.length ? ` ${errors.length} issue${errors.length === 1 ? '' : 's'} in processed rows.` : '';
+        updateStatus('fetchStatus', `Cancelled. Applied results for ${processedCount} of ${totalRows} rows; ${unprocessed.length} row${unprocessed.length === 1 ? ' was' : 's were'} not processed, starting at row ${resumeIndexes[0] + 1}.${issueNote} Use "Continue Fetch" to pick up where it stopped.${compareNote}${conflictNote}${cacheNote}`, 'warning');
+        if (errors.length) {
+          console.warn('Profile fetch issues:', errors);
+        }
+      } else if (errors.length) {
         const errorSummary = errors.slice(0, 5).join(' | ');
         const details = errors.length > 5 ? `${errorSummary} | ...` : errorSummary;
-        updateStatus('fetchStatus', `Completed with ${errors.length} issue${errors.length === 1 ? '' : 's'}. Details: ${details}`, 'warning');
+        const reportNote = errors.length > 5 ? ' Download the problem rows for the full list.' : '';
+        updateStatus('fetchStatus', `Completed with ${errors.length} issue${errors.length === 1 ? '' : 's'}.${compareNote} Details: ${details}${reportNote}${conflictNote}${cacheNote}`, 'warning');
         console.warn('Profile fetch issues:', errors);
       } else {
-        updateStatus('fetchStatus', 'Profile data appended successfully.', 'success');
+        const summary = compareMode ? 'Comparison complete.' : 'Profile data appended successfully.';
+        updateStatus('fetchStatus', `${summary}${compareNote}${conflictNote}${cacheNote}`, 'success');
       }
 
+      runResult = { cancelled: unprocessed.length > 0, issueCount: errors.length };
       updateDownloadButtons();
     } catch (error) {
       console.error('Error fetching profile data:', error);
       updateStatus('fetchStatus', error.message || 'Failed to fetch profile data.', 'error');
     } finally {
+      activeScheduler = null;
+      activeProgressReporter = null;
+      sessionRun = null;
+      scheduleSessionSave(true);
+      setFetchControlsVisible(false);
       hideLoading();
       updateFetchButtonState();
+      updateContinueButton();
+      updateIssueButtons();
+      updateRefetchButton();
+      updateCacheStatus();
+    }
+    return runResult;
+  }
+
+  // Saved row ids belong to the page that saved them; restoring maps them to the new rows by position.
+  function buildSessionTable() {
+    const exportData = DataTable.getDataForExport();
+    return {
+      columns: exportData.columns,
+      rows: exportData.rows,
+      formats: exportData.formats,
+      rowIds: exportData.rows.map((_, index) => DataTable.getRowId(index)),
+      sourceColumns: getSourceColumns().slice(),
+      fileName: Workbook.getFileName(),
+      sheetName: Workbook.getActiveSheet(),
+      savedAt: Date.now()
+    };
+  }
+
+  // What each row's lookup fetched depends on these settings; the output layout does not.
+  function getFetchSettingsKey() {
+    const settings = captureSettings();
+    return JSON.stringify([settings.fields, settings.fieldOptions, settings.lookupColumn, settings.lookupMode, settings.domainSwap, settings.addressMatching]);
+  }
+
+  function saveLookupResult(lookup) {
+    return {
+      profile: lookup.profile,
+      matched: lookup.matched ? { identifier: lookup.matched.identifier, modeKey: lookup.matched.modeKey, kind: lookup.matched.kind } : null,
+      related: lookup.related,
+      relatedErrors: lookup.relatedErrors.slice(),
+      candidateCount: lookup.candidateCount,
+      lastError: lookup.lastError ? { message: lookup.lastError.message, status: lookup.lastError.status } : null
+    };
+  }
+
+  function restoreLookupResult(lookup, saved) {
+    let lastError = null;
+    if (saved.lastError) {
+      lastError = new Error(saved.lastError.message);
+      lastError.status = saved.lastError.status;
+    }
+    Object.assign(lookup, {
+      profile: saved.profile,
+      matched: saved.matched,
+      related: saved.related || {},
+      relatedErrors: saved.relatedErrors || [],
+      candidateCount: saved.candidateCount || 0,
+      lastError,
+      resolved: true,
+      done: true
+    });
+  }
+
+  function buildSessionFetch() {
+    if (sessionRun) {
+      return { rowIds: sessionRun.rowIds.slice(), settingsKey: sessionRun.settingsKey, results: Array.from(sessionRun.results), interrupted: true };
+    }
+    if (!resumeRowIds || !resumeRowIds.length) return null;
+    // A restored run that was not continued yet keeps its saved results; a cancelled run already wrote its own.
+    return {
+      rowIds: resumeRowIds.slice(),
+      settingsKey: resumeResults ? resumeResults.settingsKey : '',
+      results: resumeResults ? Array.from(resumeResults.rows) : [],
+      interrupted: Boolean(resumeResults)
+    };
+  }
+
+  function buildSessionState() {
+    return {
+      settings: captureSettings(),
+      fetch: buildSessionFetch(),
+      issues: Array.from(rowIssues, ([rowId, issue]) => ({ rowId, status: issue.status, message: issue.message })),
+      // Anyone with access to this browser profile could read a saved token, so it is only kept on request.
+      accessToken: isCheckboxChecked('saveSessionToken') ? accessToken : '',
+      savedAt: Date.now()
+    };
+  }
+
+  // Saves are batched: progress updates during a run write at most once per delay.
+  function scheduleSessionSave(tableChanged) {
+    if (tableChanged) sessionTableChanged = true;
+    if (pendingSession || sessionSaveTimer) return;
+    sessionSaveTimer = setTimeout(saveSession, sessionSaveDelay);
+  }
+
+  async function saveSession() {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = null;
+    if (pendingSession) return;
+    const includeTable = sessionTableChanged;
+    sessionTableChanged = false;
+    try {
+      if (!DataTable.hasData()) {
+        await SessionStore.clear();
+        return;
+      }
+      await SessionStore.save(buildSessionState(), includeTable ? buildSessionTable() : null);
+    } catch (error) {
+      sessionTableChanged = sessionTableChanged || includeTable;
+      console.warn('Unable to save the session:', error);
+    }
+  }
+
+  function describeSavedSession(saved) {
+    const table = saved.table;
+    const progress = saved.state && saved.state.fetch;
+    const rowCount = table.rows.length;
+    const columnCount = table.columns.length;
+    const source = table.fileName
+      ? ` from ${table.fileName}${table.sheetName ? ` (sheet "${table.sheetName}")` : ''}`
+      : '';
+    let summary = `A table of ${rowCount} row${rowCount === 1 ? '' : 's'} and ${columnCount} column${columnCount === 1 ? '' : 's'}${source} was saved on ${new Date(table.savedAt).toLocaleString()}.`;
+    if (progress) {
+      const finished = Array.isArray(progress.results) ? progress.results.length : 0;
+      const remaining = progress.rowIds.length - finished;
+      summary += progress.interrupted
+        ? ` A profile fetch stopped with ${finished} of ${progress.rowIds.length} rows finished; ${remaining} row${remaining === 1 ? ' is' : 's are'} left to fetch.`
+        : ` ${remaining} row${remaining === 1 ? ' was' : 's were'} left to fetch.`;
+    }
+    if (table.sheetName) {
+      summary += ' Other worksheets of the workbook are not restored.';
+    }
+    return summary;
+  }
+
+  async function offerSessionRestore() {
+    let saved = null;
+    try {
+      saved = await SessionStore.load();
+    } catch (error) {
+      console.warn('Unable to read the saved session:', error);
+      return;
+    }
+    if (!saved || !Array.isArray(saved.table.rows) || !saved.table.rows.length || DataTable.hasData()) return;
+
+    pendingSession = saved;
+    const prompt = document.getElementById('sessionRestorePrompt');
+    const summary = document.getElementById('sessionRestoreSummary');
+    if (summary) summary.textContent = describeSavedSession(saved);
+    if (prompt) prompt.style.display = '';
+  }
+
+  function closeSessionPrompt() {
+    pendingSession = null;
+    const prompt = document.getElementById('sessionRestorePrompt');
+    if (prompt) prompt.style.display = 'none';
+  }
+
+  function restoreSession() {
+    const saved = pendingSession;
+    closeSessionPrompt();
+    if (!saved) return;
+    const table = saved.table;
+    const state = saved.state || {};
+
+    // Settings go first so the saved lookup column is picked when the table loads.
+    if (state.settings) applySettings(state.settings);
+    Workbook.clear();
+    DataTable.loadData(table.columns, table.rows, { formats: table.formats });
+    sourceColumns = Array.isArray(table.sourceColumns) ? table.sourceColumns.slice() : table.columns.slice();
+    renderSheetOptions();
+
+    const rowIdMap = new Map((table.rowIds || []).map((rowId, index) => [rowId, DataTable.getRowId(index)]));
+    (state.issues || []).forEach(issue => {
+      const rowId = rowIdMap.get(issue.rowId);
+      if (rowId) rowIssues.set(rowId, { status: issue.status, message: issue.message });
+    });
+    const fetchRowIds = state.fetch
+      ? state.fetch.rowIds.map(rowId => rowIdMap.get(rowId)).filter(Boolean)
+      : [];
+    resumeRowIds = fetchRowIds.length ? fetchRowIds : null;
+    const savedResults = new Map();
+    (state.fetch && Array.isArray(state.fetch.results) ? state.fetch.results : []).forEach(([rowId, result]) => {
+      const restoredId = rowIdMap.get(rowId);
+      if (restoredId) savedResults.set(restoredId, result);
+    });
+    resumeResults = resumeRowIds && savedResults.size ? { settingsKey: state.fetch.settingsKey, rows: savedResults } : null;
+
+    const tokenDetails = state.accessToken ? inspectToken(state.accessToken) : null;
+    const tokenUsable = tokenDetails && !(tokenDetails.expiresAt && tokenDetails.expiresAt <= Date.now());
+    if (tokenUsable && !accessToken && !GraphAuth.isSignedIn()) {
+      const tokenInput = document.getElementById('graphToken');
+      if (tokenInput) tokenInput.value = state.accessToken;
+      applyAccessToken(state.accessToken);
+    }
+
+    updateContinueButton();
+    updateIssueButtons();
+    const remainingCount = getRemainingResumeRowIds().length;
+    const finishedNote = resumeResults
+      ? ` The ${savedResults.size} row${savedResults.size === 1 ? '' : 's'} finished before the interruption ${savedResults.size === 1 ? 'is' : 'are'} written from the saved results without being fetched again.`
+      : '';
+    const fetchNote = resumeRowIds
+      ? ` Use "Continue Fetch" to look up the ${remainingCount} row${remainingCount === 1 ? '' : 's'} not yet fetched.${finishedNote}`
+      : '';
+    const tokenNote = state.accessToken && !tokenUsable ? ' The saved access token has expired; sign in or paste a new one.' : '';
+    updateStatus('loadStatus', `Restored ${table.rows.length} row${table.rows.length === 1 ? '' : 's'} from the previous session.${fetchNote}${tokenNote}`, 'success');
+    const uploadArea = document.getElementById('fileUploadArea');
+    if (uploadArea) uploadArea.classList.remove('has-file');
+    setSectionCollapsed('loadSection', true);
+    updateDownloadButtons();
+    updateFetchButtonState();
+    scheduleSessionSave(true);
+  }
+
+  function discardSession() {
+    closeSessionPrompt();
+    SessionStore.clear().catch(error => console.warn('Unable to discard the saved session:', error));
+    if (DataTable.hasData()) scheduleSessionSave(true);
+  }
+
+  function normalizeCompareValue(value) {
+    return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  function isLookupStatusEnabled() {
+    const checkbox = document.getElementById('includeLookupStatus');
+    return Boolean(checkbox && checkbox.checked);
+  }
+
+  function captureSettings() {
+    const fields = getSelectedFields();
+    const appendMode = document.querySelector('input[name="appendMode"]:checked');
+    const insertInput = document.getElementById('insertIndex');
+    const swapToggle = document.getElementById('domainSwapEnabled');
+    const swapInput = document.getElementById('swapDomainInput');
+    const aliasInput = document.getElementById('domainAliases');
+    const lookupSettings = getLookupSettings();
+    const insertIndex = insertInput ? Number.parseInt(insertInput.value, 10) : NaN;
+
+    return {
+      fields,
+      fieldOptions: fields.reduce((options, fieldKey) => {
+        const values = getFieldOptions(fieldKey);
+        if (Object.keys(values).length) options[fieldKey] = values;
+        return options;
+      }, {}),
+      appendMode: appendMode ? appendMode.value : 'end',
+      insertIndex: Number.isFinite(insertIndex) ? insertIndex : null,
+      lookupColumn: lookupSettings.columnName || preferredLookupColumn,
+      lookupMode: lookupSettings.modeKey,
+      domainSwap: {
+        enabled: swapToggle ? swapToggle.checked : true,
+        domain: swapInput ? swapInput.value.trim() : ''
+      },
+      addressMatching: {
+        aliases: aliasInput ? aliasInput.value.trim() : '',
+        stripPlus: isCheckboxChecked('stripPlusAddressing'),
+        lowercase: isCheckboxChecked('lowercaseAddresses'),
+        searchOtherAddresses: isCheckboxChecked('searchOtherAddresses')
+      },
+      includeStatus: isLookupStatusEnabled(),
+      columns: {
+        order: columnMapping.order.slice(),
+        names: columnMapping.order.reduce((names, key) => {
+          const name = (columnMapping.names[key] || '').trim();
+          if (name) names[key] = name;
+          return names;
+        }, {}),
+        compare: columnMapping.order.reduce((pairs, key) => {
+          if (columnMapping.compare[key] !== undefined) pairs[key] = columnMapping.compare[key];
+          return pairs;
+        }, {})
+      },
+      conflictPolicy: getConflictPolicy()
+    };
+  }
+
+  function applySettings(settings) {
+    const fields = Array.isArray(settings.fields) ? settings.fields : [];
+    document.querySelectorAll('#fieldCheckboxes input[type="checkbox"]:not([data-option])').forEach(checkbox => {
+      const checked = fields.includes(checkbox.value);
+      if (checkbox.checked !== checked) {
+        checkbox.checked = checked;
+        // The change event also shows or hides the field's own options.
+        checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    });
+
+    const mapping = settings.columns || {};
+    columnMapping = {
+      order: Array.isArray(mapping.order) ? mapping.order.slice() : [],
+      names: Object.assign({}, mapping.names),
+      compare: Object.assign({}, mapping.compare)
+    };
+
+    const fieldOptions = settings.fieldOptions || {};
+    Object.keys(fieldOptions).forEach(fieldKey => {
+      Object.keys(fieldOptions[fieldKey] || {}).forEach(optionId => {
+        const input = document.querySelector(`[data-field="${fieldKey}"][data-option="${optionId}"]`);
+        if (!input) return;
+        if (input.type === 'checkbox') {
+          input.checked = Boolean(fieldOptions[fieldKey][optionId]);
+        } else {
+          input.value = fieldOptions[fieldKey][optionId];
+        }
+      });
+    });
+
+    const appendModeValue = ['end', 'index', 'compare'].includes(settings.appendMode) ? settings.appendMode : 'end';
+    const appendRadio = document.querySelector(`input[name="appendMode"][value="${appendModeValue}"]`);
+    if (appendRadio) appendRadio.checked = true;
+    updateAppendModeUI();
+    const insertInput = document.getElementById('insertIndex');
+    if (insertInput && settings.appendMode === 'index' && settings.insertIndex) {
+      insertInput.value = settings.insertIndex;
+    }
+
+    const modeSelect = document.getElementById('lookupMode');
+    if (modeSelect && lookupModes[settings.lookupMode]) {
+      modeSelect.value = settings.lookupMode;
+    }
+    preferredLookupColumn = settings.lookupColumn || '';
+    updateLookupColumnOptions();
+
+    const domainSwap = settings.domainSwap || {};
+    const swapToggle = document.getElementById('domainSwapEnabled');
+    if (swapToggle) swapToggle.checked = domainSwap.enabled !== false;
+    const swapInput = document.getElementById('swapDomainInput');
+    if (swapInput) swapInput.value = domainSwap.domain || '';
+    updateDomainSwapUI();
+
+    const addressMatching = settings.addressMatching || {};
+    const aliasInput = document.getElementById('domainAliases');
+    if (aliasInput) aliasInput.value = addressMatching.aliases || '';
+    [
+      ['stripPlusAddressing', addressMatching.stripPlus],
+      ['lowercaseAddresses', addressMatching.lowercase],
+      ['searchOtherAddresses', addressMatching.searchOtherAddresses]
+    ].forEach(([id, checked]) => {
+      const checkbox = document.getElementById(id);
+      if (checkbox) checkbox.checked = Boolean(checked);
+    });
+
+    const statusCheckbox = document.getElementById('includeLookupStatus');
+    if (statusCheckbox) statusCheckbox.checked = Boolean(settings.includeStatus);
+
+    const conflictSelect = document.getElementById('conflictPolicy');
+    if (conflictSelect) {
+      conflictSelect.value = conflictPolicies.includes(settings.conflictPolicy) ? settings.conflictPolicy : 'overwrite';
+    }
+    renderColumnMapping();
+
+    updateLookupPreview();
+    updateFetchButtonState();
+  }
+
+  function renderPresetOptions(selectedName) {
+    const select = document.getElementById('presetSelect');
+    if (!select) return;
+
+    const defaultName = EnrichmentPresets.getDefaultName();
+    select.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = EnrichmentPresets.getNames().length ? 'Choose a preset...' : 'No saved presets';
+    select.appendChild(placeholder);
+
+    EnrichmentPresets.getNames().forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name === defaultName ? `${name} (default)` : name;
+      select.appendChild(option);
+    });
+    select.value = selectedName && EnrichmentPresets.get(selectedName) ? selectedName : '';
+    updatePresetButtons();
+  }
+
+  function updatePresetButtons() {
+    const select = document.getElementById('presetSelect');
+    const selectedName = select ? select.value : '';
+    const defaultButton = document.getElementById('defaultPresetButton');
+    const deleteButton = document.getElementById('deletePresetButton');
+    const exportButton = document.getElementById('exportPresetsButton');
+
+    if (defaultButton) {
+      defaultButton.disabled = !selectedName;
+      defaultButton.textContent = selectedName && selectedName === EnrichmentPresets.getDefaultName()
+        ? 'Clear Default'
+        : 'Make Default';
+    }
+    if (deleteButton) deleteButton.disabled = !selectedName;
+    if (exportButton) exportButton.disabled = EnrichmentPresets.getNames().length === 0;
+  }
+
+  function selectPreset(name) {
+    updatePresetButtons();
+    const settings = EnrichmentPresets.get(name);
+    if (!settings) return;
+
+    applySettings(settings);
+    const nameInput = document.getElementById('presetNameInput');
+    if (nameInput) nameInput.value = name;
+    updateStatus('presetStatus', `Applied preset "${name}".`, 'success');
+  }
+
+  function savePreset() {
+    const nameInput = document.getElementById('presetNameInput');
+    try {
+      const name = EnrichmentPresets.save(nameInput ? nameInput.value : '', captureSettings());
+      renderPresetOptions(name);
+      updateStatus('presetStatus', `Saved preset "${name}".`, 'success');
+    } catch (error) {
+      updateStatus('presetStatus', error.message || 'Unable to save the preset.', 'error');
+    }
+  }
+
+  function toggleDefaultPreset() {
+    const select = document.getElementById('presetSelect');
+    const name = select ? select.value : '';
+    if (!name) return;
+
+    const clearing = name === EnrichmentPresets.getDefaultName();
+    try {
+      EnrichmentPresets.setDefault(clearing ? '' : name);
+      renderPresetOptions(name);
+      updateStatus('presetStatus', clearing
+        ? 'No preset loads on startup.'
+        : `"${name}" will load on startup.`, 'success');
+    } catch (error) {
+      updateStatus('presetStatus', error.message || 'Unable to change the default preset.', 'error');
+    }
+  }
+
+  function deletePreset() {
+    const select = document.getElementById('presetSelect');
+    const name = select ? select.value : '';
+    if (!name) return;
+
+    try {
+      EnrichmentPresets.remove(name);
+      renderPresetOptions();
+      updateStatus('presetStatus', `Deleted preset "${name}".`, 'info');
+    } catch (error) {
+      updateStatus('presetStatus', error.message || 'Unable to delete the preset.', 'error');
     }
   }
 
+  function exportPresets() {
+    if (!EnrichmentPresets.getNames().length) return;
+    const blob = new Blob([EnrichmentPresets.exportJson()], { type: 'application/json' });
+    saveBlob(blob, `enrichment-presets-${new Date().toISOString().slice(0, 10)}.json`);
+  }
+
+  function importPresets(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        const names = EnrichmentPresets.importJson(text);
+        const select = document.getElementById('presetSelect');
+        renderPresetOptions(select ? select.value : '');
+        updateStatus('presetStatus', names.length
+          ? `Imported ${names.length} preset${names.length === 1 ? '' : 's'}: ${names.join(', ')}.`
+          : 'The file did not contain any presets.', names.length ? 'success' : 'warning');
+      })
+      .catch(error => {
+        console.error('Error importing presets:', error);
+        updateStatus('presetStatus', error.message || 'Unable to import the presets.', 'error');
+      })
+      .finally(() => {
+        // Clearing the input lets the same file be imported again after editing it.
+        input.value = '';
+      });
+  }
+
+  function applyDefaultPreset() {
+    const name = EnrichmentPresets.getDefaultName();
+    renderPresetOptions(name);
+    if (!name) return;
+
+    applySettings(EnrichmentPresets.get(name));
+    const nameInput = document.getElementById('presetNameInput');
+    if (nameInput) nameInput.value = name;
+    updateStatus('presetStatus', `Loaded default preset "${name}".`, 'info');
+  }
+
   function attachEventListeners() {
     const tokenInput = document.getElementById('graphToken');
     if (tokenInput) {
-      tokenInput.addEventListener('input', event => {
-        accessToken = event.target.value.trim();
-        loginDomain = accessToken ? extractDomainFromToken(accessToken) : '';
-        updateDetectedDomainHint();
-        updateFetchButtonState();
+      tokenInput.addEventListener('input', () => {
+        if (!GraphAuth.isSignedIn()) {
+          applyAccessToken(getPastedToken());
+        }
       });
     }
 
+    document.addEventListener('graphauth:change', event => {
+      const signedIn = Boolean(event.detail && event.detail.signedIn);
+      if (tokenInput) tokenInput.disabled = signedIn;
+      applyAccessToken(signedIn ? event.detail.accessToken : getPastedToken());
+    });
+
     const fileInput = document.getElementById('dataFile');
     if (fileInput) {
       fileInput.addEventListener('change', handleFileUpload);
@@ -541,20 +3455,74 @@ const GraphAPI = (function() {
     appendModeRadios.forEach(radio => {
       radio.addEventListener('change', () => {
         updateAppendModeUI();
+        renderColumnMapping();
         updateFetchButtonState();
       });
     });
 
     const checkboxContainer = document.getElementById('fieldCheckboxes');
     if (checkboxContainer) {
-      checkboxContainer.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
-        checkbox.addEventListener('change', updateFetchButtonState);
+      checkboxContainer.addEventListener('change', () => {
+        renderColumnMapping();
+        updateFetchButtonState();
       });
     }
 
+    const fieldSearch = document.getElementById('fieldSearch');
+    if (fieldSearch) {
+      fieldSearch.addEventListener('input', () => filterFieldCatalog(fieldSearch.value));
+    }
+
     const fetchButton = document.getElementById('fetchButton');
     if (fetchButton) {
-      fetchButton.addEventListener('click', fetchProfileData);
+      fetchButton.addEventListener('click', fetchSelectedSheets);
+    }
+
+    const continueButton = document.getElementById('continueFetchButton');
+    if (continueButton) {
+      continueButton.addEventListener('click', continueFetch);
+    }
+
+    const retryButton = document.getElementById('retryFailedButton');
+    if (retryButton) {
+      retryButton.addEventListener('click', retryFailedRows);
+    }
+
+    const refetchButton = document.getElementById('refetchEditedButton');
+    if (refetchButton) {
+      refetchButton.addEventListener('click', refetchEditedRows);
+    }
+
+    const findDuplicatesButton = document.getElementById('findDuplicatesButton');
+    if (findDuplicatesButton) {
+      findDuplicatesButton.addEventListener('click', findDuplicates);
+    }
+    const clearDuplicatesButton = document.getElementById('clearDuplicatesButton');
+    if (clearDuplicatesButton) {
+      clearDuplicatesButton.addEventListener('click', clearDuplicates);
+    }
+    [
+      ['keepFirstDuplicateButton', 'first'],
+      ['keepLastDuplicateButton', 'last'],
+      ['mergeDuplicatesButton', 'merge']
+    ].forEach(([id, strategy]) => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener('click', () => resolveDuplicates(strategy));
+    });
+
+    const issueReportButton = document.getElementById('downloadIssuesButton');
+    if (issueReportButton) {
+      issueReportButton.addEventListener('click', downloadIssueReport);
+    }
+
+    const pauseButton = document.getElementById('pauseFetchButton');
+    if (pauseButton) {
+      pauseButton.addEventListener('click', togglePauseFetch);
+    }
+
+    const cancelButton = document.getElementById('cancelFetchButton');
+    if (cancelButton) {
+      cancelButton.addEventListener('click', cancelFetch);
     }
 
     const csvButton = document.getElementById('downloadCsvButton');
@@ -567,7 +3535,161 @@ const GraphAPI = (function() {
       excelButton.addEventListener('click', downloadExcel);
     }
 
-    document.addEventListener('datatable:change', () => {
+    const changesButton = document.getElementById('downloadChangesButton');
+    if (changesButton) {
+      changesButton.addEventListener('click', downloadChangedRows);
+    }
+
+    const sheetSelect = document.getElementById('sheetSelect');
+    if (sheetSelect) {
+      sheetSelect.addEventListener('change', () => switchSheet(sheetSelect.value, { preview: true }));
+    }
+
+    ['csvDelimiter', 'csvEncoding', 'csvQuoteChar', 'csvAllText'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.addEventListener('change', reloadPendingImport);
+    });
+
+    ['headerRowInput', 'headerSpanInput'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.addEventListener('change', updateImportSettings);
+    });
+
+    const importSheetSelect = document.getElementById('importSheetSelect');
+    if (importSheetSelect) {
+      importSheetSelect.addEventListener('change', () => changeImportSheet(importSheetSelect.value));
+    }
+
+    const importConfirmButton = document.getElementById('importConfirmButton');
+    if (importConfirmButton) {
+      importConfirmButton.addEventListener('click', confirmImport);
+    }
+
+    const importCancelButton = document.getElementById('importCancelButton');
+    if (importCancelButton) {
+      importCancelButton.addEventListener('click', cancelImport);
+    }
+
+    const lookupColumnSelect = document.getElementById('lookupColumn');
+    if (lookupColumnSelect) {
+      lookupColumnSelect.addEventListener('change', () => {
+        preferredLookupColumn = lookupColumnSelect.value;
+        applyGuessedLookupMode(lookupColumnSelect.value);
+        updateRefetchButton();
+        updateLookupPreview();
+      });
+    }
+
+    const lookupModeSelect = document.getElementById('lookupMode');
+    if (lookupModeSelect) {
+      lookupModeSelect.addEventListener('change', updateLookupPreview);
+    }
+
+    const swapToggle = document.getElementById('domainSwapEnabled');
+    if (swapToggle) {
+      swapToggle.addEventListener('change', updateDomainSwapUI);
+    }
+
+    const clearCacheButton = document.getElementById('clearCacheButton');
+    if (clearCacheButton) {
+      clearCacheButton.addEventListener('click', clearProfileCache);
+    }
+    // The cache is off until the user turns it on; the choice is remembered for later visits.
+    const cacheTtlSelect = document.getElementById('profileCacheTtl');
+    if (cacheTtlSelect) {
+      const savedTtl = readPreference(cacheTtlPreferenceKey);
+      if (savedTtl && Array.from(cacheTtlSelect.options).some(option => option.value === savedTtl)) {
+        cacheTtlSelect.value = savedTtl;
+      }
+      cacheTtlSelect.addEventListener('change', () => {
+        writePreference(cacheTtlPreferenceKey, getCacheTtl() ? cacheTtlSelect.value : null);
+        purgeExpiredProfiles();
+      });
+    }
+
+    const presetSelect = document.getElementById('presetSelect');
+    if (presetSelect) {
+      presetSelect.addEventListener('change', () => selectPreset(presetSelect.value));
+    }
+
+    const savePresetButton = document.getElementById('savePresetButton');
+    if (savePresetButton) {
+      savePresetButton.addEventListener('click', savePreset);
+    }
+
+    const defaultPresetButton = document.getElementById('defaultPresetButton');
+    if (defaultPresetButton) {
+      defaultPresetButton.addEventListener('click', toggleDefaultPreset);
+    }
+
+    const deletePresetButton = document.getElementById('deletePresetButton');
+    if (deletePresetButton) {
+      deletePresetButton.addEventListener('click', deletePreset);
+    }
+
+    const exportPresetsButton = document.getElementById('exportPresetsButton');
+    if (exportPresetsButton) {
+      exportPresetsButton.addEventListener('click', exportPresets);
+    }
+
+    const restoreSessionButton = document.getElementById('restoreSessionButton');
+    if (restoreSessionButton) {
+      restoreSessionButton.addEventListener('click', restoreSession);
+    }
+    const discardSessionButton = document.getElementById('discardSessionButton');
+    if (discardSessionButton) {
+      discardSessionButton.addEventListener('click', discardSession);
+    }
+    const saveTokenCheckbox = document.getElementById('saveSessionToken');
+    if (saveTokenCheckbox) {
+      saveTokenCheckbox.checked = readPreference(sessionTokenPreferenceKey) === 'true';
+      saveTokenCheckbox.addEventListener('change', () => {
+        writePreference(sessionTokenPreferenceKey, saveTokenCheckbox.checked ? 'true' : null);
+      });
+    }
+    // Settings are read from the form when saving, so any edit in the side panel schedules a save.
+    const setupPanel = document.getElementById('setupPanel');
+    if (setupPanel) {
+      ['input', 'change'].forEach(type => setupPanel.addEventListener(type, () => scheduleSessionSave(false)));
+    }
+    window.addEventListener('pagehide', () => {
+      if (sessionSaveTimer) saveSession();
+    });
+
+    const importPresetsInput = document.getElementById('importPresetsInput');
+    if (importPresetsInput) {
+      importPresetsInput.addEventListener('change', importPresets);
+    }
+
+    document.addEventListener('datatable:change', event => {
+      if (!loadingSheet && Workbook.getActiveSheet()) {
+        activeSheetEdited = true;
+      }
+      // Loading another table instead of answering the restore prompt replaces the saved session.
+      if (pendingSession && DataTable.hasData()) {
+        closeSessionPrompt();
+      }
+      scheduleSessionSave(true);
+      // Remembered rows are tracked by id, so they survive sorts and deletes that are undone; a new table starts over.
+      const changeType = event.detail && event.detail.type;
+      if (!activeScheduler && changeType === 'data') {
+        clearResumeState();
+        clearRowIssues();
+        resolvedUserIds.clear();
+        updateStatus('duplicateStatus', '');
+      } else if (changeType === 'rows') {
+        updateIssueButtons();
+        updateContinueButton();
+      }
+      updateLookupColumnOptions();
+      // Edits and fetched values elsewhere in the table leave the lookup column as it was.
+      const changedColumns = event.detail && event.detail.columns;
+      if (changeType !== 'values' || !changedColumns || changedColumns.includes(getLookupSettings().columnName)) {
+        updateLookupPreview();
+      }
+      updateRefetchButton();
+      updateDuplicateControls();
+      if (isCompareMode()) renderColumnMapping();
       updateDownloadButtons();
       updateFetchButtonState();
     });
@@ -575,11 +3697,16 @@ const GraphAPI = (function() {
 
   return {
     initialize: function() {
+      renderFieldCatalog();
+      renderColumnMapping();
       attachEventListeners();
       updateAppendModeUI();
+      applyDefaultPreset();
       updateDownloadButtons();
       updateDetectedDomainHint();
       updateFetchButtonState();
+      purgeExpiredProfiles();
+      offerSessionRestore();
     },
 
     updateDownloadButtons,
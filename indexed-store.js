@@ -0,0 +1,54 @@
+// Shared IndexedDB access for the stores kept in this browser, one object store per database
+const IndexedStore = (function() {
+  'use strict';
+
+  function create(options) {
+    const databaseName = options.databaseName;
+    const storeName = options.storeName;
+    const databaseVersion = options.databaseVersion || 1;
+    const abortMessage = options.abortMessage || 'The browser storage could not be updated.';
+
+    let databasePromise = null;
+
+    function openDatabase() {
+      if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+          if (typeof indexedDB === 'undefined') {
+            reject(new Error('This browser does not support IndexedDB.'));
+            return;
+          }
+          const request = indexedDB.open(databaseName, databaseVersion);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(storeName, { keyPath: 'key' });
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        }).catch(error => {
+          // A failed open (e.g. private browsing) is retried on the next call.
+          databasePromise = null;
+          throw error;
+        });
+      }
+      return databasePromise;
+    }
+
+    // work receives the object store; a function it returns is called for the result once the transaction completes.
+    function runTransaction(mode, work) {
+      return openDatabase().then(database => new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, mode);
+        const result = work(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(typeof result === 'function' ? result() : result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error(abortMessage));
+      }));
+    }
+
+    return {
+      runTransaction
+    };
+  }
+
+  return {
+    create
+  };
+})();
@@ -0,0 +1,124 @@
+// Named enrichment presets kept in localStorage and shared as JSON files
+const EnrichmentPresets = (function() {
+  'use strict';
+
+  const storageKey = 'userDataAppender.presets';
+  const fileFormat = 'user-data-appender-presets';
+  const fileVersion = 1;
+
+  let presets = {};
+  let defaultName = '';
+
+  function load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(storageKey) || '{}');
+      presets = stored.presets && typeof stored.presets === 'object' ? stored.presets : {};
+      defaultName = presets[stored.defaultName] ? stored.defaultName : '';
+    } catch (error) {
+      console.warn('Unable to read saved presets:', error);
+      presets = {};
+      defaultName = '';
+    }
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify({ presets, defaultName }));
+    } catch (error) {
+      console.warn('Unable to save presets:', error);
+      throw new Error('Presets could not be saved in this browser.');
+    }
+  }
+
+  function normalizeName(name) {
+    return (name || '').toString().trim().replace(/\s+/g, ' ');
+  }
+
+  function validateSettings(settings, name) {
+    if (!settings || typeof settings !== 'object' || !Array.isArray(settings.fields)) {
+      throw new Error(`Preset "${name}" does not list any profile fields.`);
+    }
+    return settings;
+  }
+
+  function getNames() {
+    return Object.keys(presets).sort((a, b) => a.localeCompare(b));
+  }
+
+  function get(name) {
+    return presets[name] ? JSON.parse(JSON.stringify(presets[name])) : null;
+  }
+
+  function save(name, settings) {
+    const presetName = normalizeName(name);
+    if (!presetName) {
+      throw new Error('Enter a name for the preset.');
+    }
+    presets[presetName] = JSON.parse(JSON.stringify(validateSettings(settings, presetName)));
+    persist();
+    return presetName;
+  }
+
+  function remove(name) {
+    if (!presets[name]) return;
+    delete presets[name];
+    if (defaultName === name) defaultName = '';
+    persist();
+  }
+
+  function setDefault(name) {
+    defaultName = presets[name] ? name : '';
+    persist();
+  }
+
+  function exportJson(names = getNames()) {
+    return JSON.stringify({
+      format: fileFormat,
+      version: fileVersion,
+      presets: names.filter(name => presets[name]).map(name => ({ name, settings: presets[name] }))
+    }, null, 2);
+  }
+
+  // Imported presets replace saved ones with the same name; the whole file is checked before anything is stored.
+  function importJson(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
+    }
+    if (!parsed || parsed.format !== fileFormat || !Array.isArray(parsed.presets)) {
+      throw new Error('The file does not contain exported presets.');
+    }
+    if (parsed.version > fileVersion) {
+      throw new Error('The presets were exported by a newer version of this app.');
+    }
+
+    const imported = parsed.presets.map(entry => {
+      const name = normalizeName(entry && entry.name);
+      if (!name) {
+        throw new Error('A preset in the file has no name.');
+      }
+      return { name, settings: validateSettings(entry.settings, name) };
+    });
+
+    imported.forEach(entry => {
+      presets[entry.name] = entry.settings;
+    });
+    persist();
+    return imported.map(entry => entry.name);
+  }
+
+  load();
+
+  return {
+    getNames,
+    get,
+    save,
+    remove,
+    setDefault,
+    getDefaultName: () => defaultName,
+    exportJson,
+    importJson
+  };
+})();
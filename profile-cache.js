@@ -0,0 +1,91 @@
+// Profile lookups kept in IndexedDB so repeated runs only fetch missing or expired fields
+const ProfileCache = (function() {
+  'use strict';
+
+  const database = IndexedStore.create({
+    databaseName: 'userDataAppender.profileCache',
+    storeName: 'profiles',
+    abortMessage: 'The profile cache could not be updated.'
+  });
+
+  // Entries are per tenant, so the same address in two tenants never shares a profile.
+  function buildKey(tenant, lookupKey) {
+    return `${tenant}|${lookupKey}`;
+  }
+
+  function getEntries(tenant, lookupKeys) {
+    const entries = new Map();
+    return database.runTransaction('readonly', store => {
+      Array.from(new Set(lookupKeys)).forEach(lookupKey => {
+        const request = store.get(buildKey(tenant, lookupKey));
+        request.onsuccess = () => {
+          if (request.result) entries.set(lookupKey, request.result);
+        };
+      });
+      return () => entries;
+    });
+  }
+
+  function putEntries(tenant, entries) {
+    if (!entries.length) return Promise.resolve();
+    return database.runTransaction('readwrite', store => {
+      entries.forEach(entry => {
+        store.put({
+          key: buildKey(tenant, entry.lookupKey),
+          tenant,
+          lookupKey: entry.lookupKey,
+          profile: entry.profile,
+          fetched: entry.fetched,
+          matched: entry.matched
+        });
+      });
+    });
+  }
+
+  // "fetched" records when each field was last read, so only stale fields are requested again.
+  function getStaleFields(entry, fields, maxAgeMs, now = Date.now()) {
+    const fetched = (entry && entry.fetched) || {};
+    return fields.filter(field => !Number.isFinite(fetched[field]) || now - fetched[field] > maxAgeMs);
+  }
+
+  // An entry expires once its most recently fetched field is older than maxAgeMs; resolves to the number removed.
+  function purgeExpired(maxAgeMs, now = Date.now()) {
+    let removed = 0;
+    return database.runTransaction('readwrite', store => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        const times = Object.values(cursor.value.fetched || {}).filter(Number.isFinite);
+        if (!times.length || now - Math.max(...times) > maxAgeMs) {
+          cursor.delete();
+          removed++;
+        }
+        cursor.continue();
+      };
+      return () => removed;
+    });
+  }
+
+  function count() {
+    return database.runTransaction('readonly', store => {
+      const request = store.count();
+      return () => request.result;
+    });
+  }
+
+  function clear() {
+    return database.runTransaction('readwrite', store => {
+      store.clear();
+    });
+  }
+
+  return {
+    getEntries,
+    putEntries,
+    getStaleFields,
+    purgeExpired,
+    count,
+    clear
+  };
+})();
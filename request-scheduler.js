@@ -0,0 +1,179 @@
+// Request scheduling with a concurrency cap and throttling-aware retries
+const RequestScheduler = (function() {
+  'use strict';
+
+  const retryableStatuses = [429, 500, 502, 503, 504];
+  const defaultOptions = {
+    concurrency: 4,
+    maxRetries: 6,
+    baseDelayMs: 1000,
+    maxDelayMs: 60000,
+    onThrottle: null
+  };
+
+  function isRetryableStatus(status) {
+    return retryableStatuses.includes(status);
+  }
+
+  function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return 0;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : 0;
+  }
+
+  function createRetryableError(message, status, retryAfterMs) {
+    const error = new Error(message);
+    error.retryable = true;
+    error.status = status || 0;
+    error.retryAfterMs = retryAfterMs || 0;
+    return error;
+  }
+
+  function createCancelledError() {
+    const error = new Error('The request was cancelled.');
+    error.cancelled = true;
+    return error;
+  }
+
+  function getBackoffDelay(attempt, settings) {
+    const exponential = Math.min(settings.maxDelayMs, settings.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function create(options = {}) {
+    const settings = Object.assign({}, defaultOptions, options);
+    const queue = [];
+    let activeCount = 0;
+    let resumeAt = 0;
+    let wakeTimer = null;
+    let paused = false;
+    let cancelled = false;
+    const abortController = typeof AbortController === 'function' ? new AbortController() : null;
+
+    function getPauseRemaining() {
+      return Math.max(0, resumeAt - Date.now());
+    }
+
+    function pump() {
+      if (wakeTimer || paused || cancelled) return;
+
+      const pauseRemaining = getPauseRemaining();
+      if (pauseRemaining > 0) {
+        wakeTimer = setTimeout(() => {
+          wakeTimer = null;
+          pump();
+        }, pauseRemaining);
+        return;
+      }
+
+      while (activeCount < settings.concurrency && queue.length) {
+        runJob(queue.shift());
+      }
+    }
+
+    async function runJob(job) {
+      activeCount++;
+      let retryDelay = 0;
+
+      try {
+        job.resolve(await job.task(job.attempt, abortController ? abortController.signal : undefined));
+      } catch (error) {
+        if (cancelled) {
+          job.reject(createCancelledError());
+        } else if (!error || !error.retryable || job.attempt >= settings.maxRetries) {
+          job.reject(error);
+        } else {
+          const throttled = error.status === 429 || error.retryAfterMs > 0;
+          retryDelay = error.retryAfterMs || getBackoffDelay(job.attempt, settings);
+          job.attempt++;
+
+          // Graph throttles per app and tenant, so a throttled response pauses every queued request.
+          if (throttled) {
+            resumeAt = Math.max(resumeAt, Date.now() + retryDelay);
+            if (typeof settings.onThrottle === 'function') {
+              settings.onThrottle(getPauseRemaining());
+            }
+          }
+        }
+      } finally {
+        activeCount--;
+      }
+
+      if (retryDelay > 0) {
+        wait(retryDelay).then(() => {
+          if (cancelled) {
+            job.reject(createCancelledError());
+            return;
+          }
+          queue.unshift(job);
+          pump();
+        });
+      }
+      pump();
+    }
+
+    function schedule(task) {
+      return new Promise((resolve, reject) => {
+        if (cancelled) {
+          reject(createCancelledError());
+          return;
+        }
+        queue.push({ task, attempt: 0, resolve, reject });
+        pump();
+      });
+    }
+
+    function pause() {
+      paused = true;
+    }
+
+    function resume() {
+      paused = false;
+      pump();
+    }
+
+    function cancel() {
+      if (cancelled) return;
+      cancelled = true;
+      paused = false;
+      if (wakeTimer) {
+        clearTimeout(wakeTimer);
+        wakeTimer = null;
+      }
+      if (abortController) {
+        abortController.abort();
+      }
+      queue.splice(0).forEach(job => job.reject(createCancelledError()));
+    }
+
+    return {
+      schedule,
+      pause,
+      resume,
+      cancel,
+      getPauseRemaining,
+      isPaused: () => paused,
+      isCancelled: () => cancelled
+    };
+  }
+
+  return {
+    create,
+    createRetryableError,
+    createCancelledError,
+    isRetryableStatus,
+    parseRetryAfter
+  };
+})();
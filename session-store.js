@@ -0,0 +1,50 @@
+// Autosaved table, settings and fetch progress in IndexedDB so a refresh or crash can be recovered
+const SessionStore = (function() {
+  'use strict';
+
+  const database = IndexedStore.create({
+    databaseName: 'userDataAppender.session',
+    storeName: 'session',
+    abortMessage: 'The session could not be saved.'
+  });
+
+  // The table is large and changes less often than the settings and fetch progress, so they are stored apart.
+  const tableKey = 'table';
+  const stateKey = 'state';
+
+  // table is left out when only the settings or progress changed.
+  function save(state, table) {
+    return database.runTransaction('readwrite', store => {
+      store.put(Object.assign({}, state, { key: stateKey }));
+      if (table) store.put(Object.assign({}, table, { key: tableKey }));
+    });
+  }
+
+  // Resolves to { table, state }, or null when no table was saved.
+  function load() {
+    const saved = { table: null, state: null };
+    return database.runTransaction('readonly', store => {
+      const tableRequest = store.get(tableKey);
+      tableRequest.onsuccess = () => {
+        saved.table = tableRequest.result || null;
+      };
+      const stateRequest = store.get(stateKey);
+      stateRequest.onsuccess = () => {
+        saved.state = stateRequest.result || null;
+      };
+      return () => (saved.table ? saved : null);
+    });
+  }
+
+  function clear() {
+    return database.runTransaction('readwrite', store => {
+      store.clear();
+    });
+  }
+
+  return {
+    save,
+    load,
+    clear
+  };
+})();
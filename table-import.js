@@ -0,0 +1,156 @@
+// Header row detection and table building for uploaded spreadsheets
+const TableImport = (function() {
+  'use strict';
+
+  const maxHeaderScanRows = 20;
+  const maxHeaderSpan = 3;
+  const dataSampleRows = 5;
+  const maxHeaderCellLength = 40;
+  const addressPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const numberPattern = /^[-+]?[\d,.\s%$€£]+$/;
+  const datePattern = /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/;
+  const headerKeywords = /(e-?mail|upn|name|id|number|title|department|phone|manager|office|company|status|date|type|code)/i;
+
+  function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+  }
+
+  function getFilledIndexes(row) {
+    const indexes = [];
+    (row || []).forEach((cell, idx) => {
+      if (!isBlank(cell)) indexes.push(idx);
+    });
+    return indexes;
+  }
+
+  function isDataLike(value) {
+    if (typeof value === 'number' || value instanceof Date) return true;
+    const text = String(value).trim();
+    return addressPattern.test(text) || numberPattern.test(text) || datePattern.test(text);
+  }
+
+  function isHeaderLikeRow(row) {
+    const filled = getFilledIndexes(row);
+    return filled.length > 0 && filled.every(idx => {
+      const text = String(row[idx]).trim();
+      return !isDataLike(row[idx]) && text.length <= maxHeaderCellLength;
+    });
+  }
+
+  function scoreHeaderRow(rows, index) {
+    const row = rows[index];
+    const filled = getFilledIndexes(row);
+    if (!filled.length) return -Infinity;
+
+    let score = 0;
+    const distinct = new Set();
+    filled.forEach(idx => {
+      const text = String(row[idx]).trim();
+      distinct.add(text.toLowerCase());
+      if (isDataLike(row[idx])) {
+        score -= 2;
+      } else if (text.length > maxHeaderCellLength) {
+        score -= 1;
+      } else {
+        score += headerKeywords.test(text) ? 3 : 2;
+      }
+    });
+    score -= filled.length - distinct.size;
+
+    // Titles and "Generated on" lines sit over empty cells; a header names columns that hold data below it.
+    const below = rows.slice(index + 1, index + 1 + dataSampleRows);
+    filled.forEach(idx => {
+      if (below.some(candidate => candidate && !isBlank(candidate[idx]))) score += 1;
+    });
+    return score;
+  }
+
+  function detectHeader(rows) {
+    const scanLimit = Math.min(rows.length, maxHeaderScanRows);
+    let bestIndex = -1;
+    let bestScore = -Infinity;
+
+    for (let index = 0; index < scanLimit; index++) {
+      const score = scoreHeaderRow(rows, index);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    }
+
+    if (bestIndex === -1) {
+      return { headerRow: 0, headerSpan: 1 };
+    }
+
+    // Group labels directly above the header (e.g. merged "Contact" over "Email" and "Phone") join it.
+    let headerRow = bestIndex;
+    while (headerRow > 0 && bestIndex - headerRow + 1 < maxHeaderSpan) {
+      const above = rows[headerRow - 1];
+      const distinct = new Set(getFilledIndexes(above).map(idx => String(above[idx]).trim().toLowerCase()));
+      if (!isHeaderLikeRow(above) || distinct.size < 2) break;
+      headerRow--;
+    }
+
+    return { headerRow, headerSpan: bestIndex - headerRow + 1 };
+  }
+
+  function collapseHeader(headerRows, width) {
+    const names = [];
+    const used = new Map();
+
+    for (let idx = 0; idx < width; idx++) {
+      const parts = [];
+      headerRows.forEach(row => {
+        const text = row && !isBlank(row[idx]) ? String(row[idx]).trim().replace(/\s+/g, ' ') : '';
+        if (text && parts[parts.length - 1] !== text) parts.push(text);
+      });
+
+      const baseName = parts.join(' ') || `Column ${idx + 1}`;
+      const count = (used.get(baseName.toLowerCase()) || 0) + 1;
+      used.set(baseName.toLowerCase(), count);
+      names.push(count > 1 ? `${baseName} ${count}` : baseName);
+    }
+    return names;
+  }
+
+  function normalizeSettings(rows, settings) {
+    const headerRow = Math.max(0, Math.min(Number(settings && settings.headerRow) || 0, Math.max(rows.length - 1, 0)));
+    const headerSpan = Math.max(1, Math.min(Number(settings && settings.headerSpan) || 1, maxHeaderSpan, rows.length - headerRow));
+    return { headerRow, headerSpan };
+  }
+
+  function buildTable(rows, settings) {
+    if (!rows.some(row => getFilledIndexes(row).length)) {
+      throw new Error('The file did not contain any data.');
+    }
+
+    const { headerRow, headerSpan } = normalizeSettings(rows, settings);
+    const headerRows = rows.slice(headerRow, headerRow + headerSpan);
+    const dataRows = rows.slice(headerRow + headerSpan);
+    const width = headerRows.concat(dataRows).reduce((max, row) => getFilledIndexes(row).reduce((rowMax, idx) => Math.max(rowMax, idx + 1), max), 0);
+
+    if (!headerRows.some(row => getFilledIndexes(row).length)) {
+      throw new Error(`Row ${headerRow + 1} is empty. Choose the row that contains the column headers.`);
+    }
+
+    const columns = collapseHeader(headerRows, width);
+    const filteredRows = dataRows
+      .map(row => columns.map((_, idx) => {
+        const value = row ? row[idx] : '';
+        return value === null || value === undefined ? '' : value;
+      }))
+      .filter(row => row.some(cell => !isBlank(cell)));
+
+    if (!filteredRows.length) {
+      throw new Error('No data rows were found after the header.');
+    }
+
+    return { columns, rows: filteredRows, headerRow, headerSpan };
+  }
+
+  return {
+    detectHeader,
+    buildTable,
+    maxHeaderSpan
+  };
+})();
@@ -3,6 +3,7 @@ const DataTable = (function() {
   'use strict';
 
   let columns = [];
+  let columnFormats = [];
   let rows = [];
   let tableElement = null;
   let tableHead = null;
@@ -13,20 +14,202 @@ const DataTable = (function() {
   let deleteButton = null;
   let deleteButtonBaseLabel = '';
   let selectAllCheckbox = null;
+  let searchInput = null;
+  let clearFiltersButton = null;
+  let selectMatchingButton = null;
+  let selectMatchingBaseLabel = '';
+  let duplicatesOnlyCheckbox = null;
+  let undoButton = null;
+  let redoButton = null;
+  let headerPanel = null;
+  let searchTimer = null;
   let sortState = { columnIndex: null, direction: 'asc' };
   const selectedRows = new Set();
+  // Differences found by a compare run, keyed by row and then by column name: { before, after }.
+  const cellChanges = new Map();
+  // Cells changed by hand, keyed by row and then holding column names, so edited lookup values can be fetched again.
+  const editedCells = new Map();
+  // Group numbers from "Find Duplicates", keyed by row; grouped rows are tinted and can be shown on their own.
+  const duplicateGroups = new Map();
+  let duplicatesOnly = false;
   const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
 
+  // Rows get ids that survive sorting and deletes, so callers can remember rows without holding indexes.
+  const rowIds = new WeakMap();
+  const rowsById = new Map();
+  let rowIndexById = null;
+  let nextRowId = 1;
+
+  // Only the rows in view (plus a margin) are in the DOM; spacer rows stand in for the rest.
+  const defaultRowHeight = 46;
+  const defaultViewportHeight = 600;
+  const overscanRows = 10;
+  let rowHeight = defaultRowHeight;
+  let renderedRange = { start: 0, end: 0 };
+  let scrollFrame = null;
+
+  // Column widths are estimated from a sample because rows outside the window are never laid out.
+  const widthSampleRows = 200;
+  const minColumnWidth = 120;
+  const maxColumnWidth = 360;
+  const charWidth = 8;
+  const cellPadding = 34;
+  const selectColumnWidth = 48;
+  let columnWidths = [];
+
+  // Rows that pass the search box and column filters, in table order; the renderer draws from this list.
+  let viewRows = [];
+  let searchText = '';
+  // Column filters keyed by column name: { operator, value, values }.
+  const columnFilters = new Map();
+  const filterOperators = [
+    { value: 'contains', label: 'Contains' },
+    { value: 'equals', label: 'Equals' },
+    { value: 'empty', label: 'Is empty' },
+    { value: 'notEmpty', label: 'Is not empty' },
+    { value: 'values', label: 'Is one of' }
+  ];
+  const maxFilterValues = 200;
+  const searchDelay = 150;
+
+  // Undo steps are { type, label, marks, undo, redo }; marks hold the highlights and sort from the other side of the step.
+  const maxHistorySteps = 100;
+  const undoStack = [];
+  const redoStack = [];
+  let activeEditor = null;
+  // Set while a fetch is writing to the table, so rows cannot move under it.
+  let readOnly = false;
+
   function resetSortState() {
     sortState = { columnIndex: null, direction: 'asc' };
   }
 
-  function notifyChange(type) {
+  // 'values' changes name the columns they wrote so listeners can skip unrelated ones; without a list, any column may have changed.
+  function notifyChange(type, changedColumns) {
     document.dispatchEvent(new CustomEvent('datatable:change', {
-      detail: { type }
+      detail: changedColumns ? { type, columns: changedColumns } : { type }
     }));
   }
 
+  function copyMarks(source) {
+    return {
+      changes: new Map(source.changes),
+      edited: new Map(Array.from(source.edited, ([row, names]) => [row, new Set(names)])),
+      duplicates: new Map(source.duplicates),
+      sort: Object.assign({}, source.sort)
+    };
+  }
+
+  // Compare highlights, edit marks, duplicate groups and the sort indicator are saved whole rather than undone step by step.
+  function captureMarks() {
+    return copyMarks({ changes: cellChanges, edited: editedCells, duplicates: duplicateGroups, sort: sortState });
+  }
+
+  function restoreMarks(marks) {
+    const copy = copyMarks(marks);
+    cellChanges.clear();
+    copy.changes.forEach((changes, row) => cellChanges.set(row, changes));
+    editedCells.clear();
+    copy.edited.forEach((names, row) => editedCells.set(row, names));
+    duplicateGroups.clear();
+    copy.duplicates.forEach((group, row) => duplicateGroups.set(row, group));
+    sortState = copy.sort;
+  }
+
+  function recordStep(step) {
+    undoStack.push(step);
+    if (undoStack.length > maxHistorySteps) undoStack.shift();
+    redoStack.length = 0;
+    updateHistoryButtons();
+  }
+
+  function clearHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    updateHistoryButtons();
+  }
+
+  // Steps swap their saved marks with the current ones, so the same step can be undone and redone repeatedly.
+  function replayStep(from, to, direction) {
+    if (readOnly || !from.length) return;
+    closeCellEditor(true);
+    const step = from.pop();
+    const marks = captureMarks();
+    step[direction]();
+    restoreMarks(step.marks);
+    step.marks = marks;
+    to.push(step);
+    rowIndexById = null;
+    render();
+    updateHistoryButtons();
+    notifyChange(step.type);
+  }
+
+  function undo() {
+    replayStep(undoStack, redoStack, 'undo');
+  }
+
+  function redo() {
+    replayStep(redoStack, undoStack, 'redo');
+  }
+
+  function updateHistoryButtons() {
+    const lastUndo = undoStack[undoStack.length - 1];
+    const lastRedo = redoStack[redoStack.length - 1];
+    if (undoButton) {
+      undoButton.disabled = readOnly || !lastUndo;
+      undoButton.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    }
+    if (redoButton) {
+      redoButton.disabled = readOnly || !lastRedo;
+      redoButton.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+  }
+
+  // Text boxes keep their own undo; everywhere else the shortcuts act on the table.
+  function handleHistoryKeys(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const key = (event.key || '').toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    const target = event.target;
+    const isTextInput = target && (target.isContentEditable
+      || target.tagName === 'TEXTAREA'
+      || target.tagName === 'SELECT'
+      || (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(target.type)));
+    if (isTextInput) return;
+    event.preventDefault();
+    if (key === 'y' || event.shiftKey) {
+      redo();
+    } else {
+      undo();
+    }
+  }
+
+  function assignRowId(row) {
+    const id = nextRowId++;
+    rowIds.set(row, id);
+    rowsById.set(id, row);
+    return row;
+  }
+
+  function getRowIndexById(rowId) {
+    if (!rowIndexById) {
+      rowIndexById = new Map();
+      rows.forEach((row, index) => rowIndexById.set(rowIds.get(row), index));
+    }
+    const index = rowIndexById.get(rowId);
+    return index === undefined ? -1 : index;
+  }
+
+  function getRowFromElement(element) {
+    const tr = element && element.closest ? element.closest('tr[data-row-id]') : null;
+    return tr ? rowsById.get(Number(tr.dataset.rowId)) || null : null;
+  }
+
+  function getRenderedRow(row) {
+    return tableBody ? tableBody.querySelector(`tr[data-row-id="${rowIds.get(row)}"]`) : null;
+  }
+
   function normalizeRow(row) {
     if (!Array.isArray(row)) {
       return Array.from({ length: columns.length }, () => '');
@@ -34,11 +217,48 @@ const DataTable = (function() {
     return columns.map((_, idx) => formatCell(row[idx]));
   }
 
+  // Numbers, booleans and dates keep their type so Excel exports round-trip; everything else is text.
   function formatCell(value) {
     if (value === undefined || value === null) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? value : '';
+    if (typeof value === 'boolean') return value;
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value;
     return value.toString();
   }
 
+  function formatDate(value) {
+    const pad = number => String(number).padStart(2, '0');
+    const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    const hasTime = value.getHours() || value.getMinutes() || value.getSeconds();
+    return hasTime ? `${date} ${pad(value.getHours())}:${pad(value.getMinutes())}` : date;
+  }
+
+  function getDisplayText(value, format) {
+    if (value === '' || value === undefined || value === null) return '';
+    if (typeof value === 'string') return value;
+
+    if (format && typeof XLSX !== 'undefined' && XLSX.SSF) {
+      try {
+        return XLSX.SSF.format(format, value);
+      } catch (error) {
+        // Fall through to the plain rendering for formats SSF cannot handle.
+      }
+    }
+    if (value instanceof Date) return formatDate(value);
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return String(value);
+  }
+
+  function compareCells(valueA, valueB, format) {
+    if (typeof valueA === 'number' && typeof valueB === 'number') {
+      return valueA - valueB;
+    }
+    if (valueA instanceof Date && valueB instanceof Date) {
+      return valueA.getTime() - valueB.getTime();
+    }
+    return collator.compare(getDisplayText(valueA, format), getDisplayText(valueB, format));
+  }
+
   function updateSummary() {
     if (!summaryElement) return;
     if (!hasData()) {
@@ -47,7 +267,8 @@ const DataTable = (function() {
     }
     const rowLabel = rows.length === 1 ? 'row' : 'rows';
     const colLabel = columns.length === 1 ? 'column' : 'columns';
-    let summary = `${rows.length} ${rowLabel} • ${columns.length} ${colLabel}`;
+    const rowSummary = isFiltered() ? `${viewRows.length} of ${rows.length} ${rowLabel} shown` : `${rows.length} ${rowLabel}`;
+    let summary = `${rowSummary} • ${columns.length} ${colLabel}`;
     if (selectedRows.size > 0) {
       summary += ` • ${selectedRows.size} selected`;
     }
@@ -69,13 +290,13 @@ const DataTable = (function() {
     if (!deleteButton) return;
     const baseLabel = deleteButtonBaseLabel || deleteButton.textContent.trim();
     const count = selectedRows.size;
-    deleteButton.disabled = count === 0;
+    deleteButton.disabled = readOnly || count === 0;
     deleteButton.textContent = count > 0 ? `${baseLabel} (${count})` : baseLabel;
   }
 
   function updateSelectAllState() {
     if (!selectAllCheckbox) return;
-    const total = rows.length;
+    const total = viewRows.length;
     const selectedCount = selectedRows.size;
     selectAllCheckbox.checked = total > 0 && selectedCount === total;
     selectAllCheckbox.indeterminate = selectedCount > 0 && selectedCount < total;
@@ -89,9 +310,8 @@ const DataTable = (function() {
       selectedRows.delete(row);
     }
 
-    const index = rows.indexOf(row);
-    if (index !== -1 && tableBody && tableBody.rows[index]) {
-      const tr = tableBody.rows[index];
+    const tr = getRenderedRow(row);
+    if (tr) {
       const checkbox = tr.querySelector('input[type="checkbox"]');
       tr.classList.toggle('row-selected', selectedRows.has(row));
       if (checkbox) {
@@ -106,19 +326,17 @@ const DataTable = (function() {
 
   function handleSelectAll(checked) {
     if (checked) {
-      rows.forEach(row => selectedRows.add(row));
+      viewRows.forEach(row => selectedRows.add(row));
     } else {
       selectedRows.clear();
     }
 
     if (tableBody) {
-      Array.from(tableBody.rows).forEach((tr, idx) => {
-        const row = rows[idx];
-        const isSelected = Boolean(row) && checked;
-        tr.classList.toggle('row-selected', isSelected);
+      tableBody.querySelectorAll('tr[data-row-id]').forEach(tr => {
+        tr.classList.toggle('row-selected', checked);
         const checkbox = tr.querySelector('input[type="checkbox"]');
         if (checkbox) {
-          checkbox.checked = isSelected;
+          checkbox.checked = checked;
         }
       });
     }
@@ -129,8 +347,10 @@ const DataTable = (function() {
   }
 
   function handleSort(columnIndex) {
-    if (columnIndex < 0 || columnIndex >= columns.length) return;
+    if (readOnly || columnIndex < 0 || columnIndex >= columns.length) return;
 
+    const marks = captureMarks();
+    const previousRows = rows.slice();
     const nextDirection =
       sortState.columnIndex === columnIndex && sortState.direction === 'asc'
         ? 'desc'
@@ -141,53 +361,506 @@ const DataTable = (function() {
     rows = rows
       .map((row, idx) => ({ row, idx }))
       .sort((a, b) => {
-        const valueA = formatCell(a.row[columnIndex]);
-        const valueB = formatCell(b.row[columnIndex]);
-        const comparison = collator.compare(valueA, valueB);
+        const comparison = compareCells(a.row[columnIndex], b.row[columnIndex], columnFormats[columnIndex]);
         if (comparison !== 0) {
           return directionFactor * comparison;
         }
         return directionFactor * (a.idx - b.idx);
       })
       .map(item => item.row);
-
+    rowIndexById = null;
+
+    const sortedRows = rows.slice();
+    recordStep({
+      type: 'sort',
+      label: 'sort',
+      marks,
+      undo: () => {
+        rows = previousRows.slice();
+      },
+      redo: () => {
+        rows = sortedRows.slice();
+      }
+    });
     render();
+    notifyChange('sort');
+  }
+
+  function deleteRows(rowsToDelete) {
+    const deleted = new Set(rowsToDelete);
+    rows = rows.filter(row => !deleted.has(row));
+    deleted.forEach(row => {
+      cellChanges.delete(row);
+      editedCells.delete(row);
+      duplicateGroups.delete(row);
+      selectedRows.delete(row);
+      rowsById.delete(rowIds.get(row));
+    });
+    rowIndexById = null;
+  }
+
+  // removed is [{ row, index }] in table order, so each row goes back to its old position.
+  function restoreRows(removed) {
+    removed.forEach(entry => {
+      rows.splice(entry.index, 0, entry.row);
+      rowsById.set(rowIds.get(entry.row), entry.row);
+    });
+    rowIndexById = null;
   }
 
   function removeSelectedRows() {
-    if (!selectedRows.size) return;
-    rows = rows.filter(row => !selectedRows.has(row));
-    selectedRows.clear();
+    if (readOnly || !selectedRows.size) return;
+    const marks = captureMarks();
+    const removed = [];
+    rows.forEach((row, index) => {
+      if (selectedRows.has(row)) removed.push({ row, index });
+    });
+    const removedRows = removed.map(entry => entry.row);
+    deleteRows(removedRows);
+    recordStep({
+      type: 'rows',
+      label: removed.length === 1 ? 'row deletion' : `deletion of ${removed.length} rows`,
+      marks,
+      undo: () => restoreRows(removed),
+      redo: () => deleteRows(removedRows)
+    });
     render();
     updateSelectAllState();
     updateDeleteButtonState();
-    notifyChange('data');
+    notifyChange('rows');
   }
 
-  function render() {
-    if (!tableHead || !tableBody) return;
+  function isFiltered() {
+    return Boolean(searchText) || columnFilters.size > 0 || duplicatesOnly;
+  }
 
-    const scrollTop = tableWrapper ? tableWrapper.scrollTop : 0;
+  function matchesFilter(text, filter) {
+    const normalized = text.trim().toLowerCase();
+    switch (filter.operator) {
+      case 'equals':
+        return normalized === filter.normalizedValue;
+      case 'empty':
+        return normalized === '';
+      case 'notEmpty':
+        return normalized !== '';
+      case 'values':
+        return filter.values.includes(text);
+      default:
+        return normalized.includes(filter.normalizedValue);
+    }
+  }
 
-    selectAllCheckbox = null;
-    tableHead.innerHTML = '';
-    tableBody.innerHTML = '';
+  function applyFilters() {
+    if (!isFiltered()) {
+      viewRows = rows;
+      return;
+    }
 
-    if (!hasData()) {
-      updateSummary();
-      updateEmptyState();
-      updateDeleteButtonState();
-      updateSelectAllState();
-      if (tableWrapper) {
-        tableWrapper.scrollTop = 0;
+    const activeFilters = [];
+    columnFilters.forEach((filter, columnName) => {
+      const columnIndex = columns.indexOf(columnName);
+      if (columnIndex !== -1) {
+        activeFilters.push(Object.assign({ columnIndex, normalizedValue: (filter.value || '').trim().toLowerCase() }, filter));
       }
-      return;
+    });
+    const query = searchText.toLowerCase();
+
+    viewRows = rows.filter(row => (
+      (!duplicatesOnly || duplicateGroups.has(row))
+      && activeFilters.every(filter => matchesFilter(getDisplayText(row[filter.columnIndex], columnFormats[filter.columnIndex]), filter))
+      && (!query || columns.some((_, idx) => getDisplayText(row[idx], columnFormats[idx]).toLowerCase().includes(query)))
+    ));
+    // Shown on their own, duplicates are listed group by group so each group can be compared at a glance.
+    if (duplicatesOnly) {
+      viewRows.sort((a, b) => duplicateGroups.get(a) - duplicateGroups.get(b));
+    }
+
+    // Hidden rows are deselected so "Delete Selected" only removes rows that can be seen.
+    const shown = new Set(viewRows);
+    selectedRows.forEach(row => {
+      if (!shown.has(row)) selectedRows.delete(row);
+    });
+  }
+
+  // Redraws the rows after a filter change without rebuilding the header.
+  function refreshView() {
+    if (!tableBody) return;
+    applyFilters();
+    renderBody();
+    updateSummary();
+    updateSelectAllState();
+    updateDeleteButtonState();
+    updateFilterControls();
+  }
+
+  function updateFilterControls() {
+    if (clearFiltersButton) {
+      clearFiltersButton.style.display = isFiltered() ? '' : 'none';
+    }
+    if (selectMatchingButton) {
+      selectMatchingButton.disabled = viewRows.length === 0;
+      selectMatchingButton.textContent = isFiltered()
+        ? `${selectMatchingBaseLabel} (${viewRows.length})`
+        : selectMatchingBaseLabel;
+    }
+    if (searchInput) {
+      searchInput.disabled = !hasData();
+    }
+    if (duplicatesOnlyCheckbox) {
+      duplicatesOnlyCheckbox.checked = duplicatesOnly;
+      duplicatesOnlyCheckbox.disabled = duplicateGroups.size === 0;
+    }
+    if (tableHead) {
+      tableHead.querySelectorAll('th.sortable').forEach((th, idx) => {
+        const button = th.querySelector('.filter-toggle');
+        if (button) button.classList.toggle('filter-active', columnFilters.has(columns[idx]));
+      });
+    }
+  }
+
+  // filter is { operator: 'contains' | 'equals' | 'empty' | 'notEmpty' | 'values', value, values }, or null to remove it.
+  function setColumnFilter(columnName, filter) {
+    if (filter) {
+      columnFilters.set(columnName, filter);
+    } else {
+      columnFilters.delete(columnName);
+    }
+    refreshView();
+  }
+
+  function resetFilters() {
+    clearTimeout(searchTimer);
+    searchText = '';
+    if (searchInput) searchInput.value = '';
+    columnFilters.clear();
+    duplicatesOnly = false;
+    closeHeaderPanel();
+  }
+
+  function clearFilters() {
+    resetFilters();
+    refreshView();
+  }
+
+  function handleSearchInput() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      searchText = searchInput.value.trim();
+      refreshView();
+    }, searchDelay);
+  }
+
+  // Distinct display values with their counts, for the "Is one of" pick list.
+  function getDistinctValues(columnIndex) {
+    const counts = new Map();
+    rows.forEach(row => {
+      const text = getDisplayText(row[columnIndex], columnFormats[columnIndex]);
+      counts.set(text, (counts.get(text) || 0) + 1);
+    });
+    return Array.from(counts, ([text, count]) => ({ text, count }))
+      .sort((a, b) => collator.compare(a.text, b.text));
+  }
+
+  function setDuplicateGroups(groups) {
+    duplicateGroups.clear();
+    (groups || []).forEach((groupRowIds, groupIdx) => {
+      groupRowIds.forEach(rowId => {
+        const row = rowsById.get(rowId);
+        if (row) duplicateGroups.set(row, groupIdx + 1);
+      });
+    });
+    if (!duplicateGroups.size) duplicatesOnly = false;
+    refreshView();
+  }
+
+  function setDuplicatesOnly(value) {
+    duplicatesOnly = Boolean(value) && duplicateGroups.size > 0;
+    refreshView();
+  }
+
+  // Rows of each group in table order; groups left with a single row by later deletes are skipped.
+  function getDuplicateGroupRows() {
+    const groups = new Map();
+    rows.forEach(row => {
+      const group = duplicateGroups.get(row);
+      if (!group) return;
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(row);
+    });
+    return Array.from(groups.values()).filter(groupRows => groupRows.length > 1);
+  }
+
+  // strategy is 'first', 'last' or 'merge'; a merge keeps the first row and fills its empty cells from the others.
+  function resolveDuplicates(strategy) {
+    const groups = getDuplicateGroupRows();
+    if (readOnly || !groups.length) return null;
+
+    const marks = captureMarks();
+    const removedSet = new Set();
+    const mergedCells = [];
+    groups.forEach(groupRows => {
+      const keeper = strategy === 'last' ? groupRows[groupRows.length - 1] : groupRows[0];
+      groupRows.forEach(row => {
+        if (row !== keeper) removedSet.add(row);
+      });
+      if (strategy !== 'merge') return;
+      columns.forEach((_, idx) => {
+        if (formatCell(keeper[idx]) !== '') return;
+        const source = groupRows.find(row => row !== keeper && formatCell(row[idx]) !== '');
+        if (source) mergedCells.push({ row: keeper, columnIndex: idx, before: keeper[idx], after: source[idx] });
+      });
+    });
+
+    const removed = [];
+    rows.forEach((row, index) => {
+      if (removedSet.has(row)) removed.push({ row, index });
+    });
+    const removedRows = removed.map(entry => entry.row);
+    const apply = () => {
+      mergedCells.forEach(cell => {
+        cell.row[cell.columnIndex] = cell.after;
+      });
+      deleteRows(removedRows);
+      duplicateGroups.clear();
+      duplicatesOnly = false;
+    };
+    apply();
+    recordStep({
+      type: 'rows',
+      label: strategy === 'merge' ? 'merging duplicates' : 'removing duplicates',
+      marks,
+      undo: () => {
+        restoreRows(removed);
+        mergedCells.forEach(cell => {
+          cell.row[cell.columnIndex] = cell.before;
+        });
+      },
+      redo: apply
+    });
+    render();
+    notifyChange('rows');
+    return { groupCount: groups.length, removedCount: removedRows.length, mergedCellCount: mergedCells.length };
+  }
+
+  function closeHeaderPanel() {
+    if (headerPanel) {
+      headerPanel.remove();
+      headerPanel = null;
+    }
+  }
+
+  function openFilterPanel(columnIndex, anchor) {
+    closeHeaderPanel();
+    const container = tableWrapper && tableWrapper.parentElement;
+    if (!container) return;
+
+    const columnName = columns[columnIndex];
+    const current = columnFilters.get(columnName) || { operator: 'contains', value: '', values: [] };
+
+    const panel = document.createElement('div');
+    panel.className = 'column-filter-panel';
+
+    const title = document.createElement('h4');
+    title.textContent = `Filter "${columnName}"`;
+    panel.appendChild(title);
+
+    const operatorSelect = document.createElement('select');
+    filterOperators.forEach(operator => {
+      const option = document.createElement('option');
+      option.value = operator.value;
+      option.textContent = operator.label;
+      operatorSelect.appendChild(option);
+    });
+    operatorSelect.value = current.operator;
+    panel.appendChild(operatorSelect);
+
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.placeholder = 'Value';
+    valueInput.value = current.value || '';
+    panel.appendChild(valueInput);
+
+    const valueList = document.createElement('div');
+    valueList.className = 'column-filter-values';
+    const distinctValues = getDistinctValues(columnIndex);
+    distinctValues.slice(0, maxFilterValues).forEach(entry => {
+      const label = document.createElement('label');
+      label.className = 'inline-option';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = entry.text;
+      checkbox.checked = (current.values || []).includes(entry.text);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(`${entry.text || '(blank)'} (${entry.count})`));
+      valueList.appendChild(label);
+    });
+    if (distinctValues.length > maxFilterValues) {
+      const note = document.createElement('small');
+      note.className = 'form-hint';
+      note.textContent = `Showing the first ${maxFilterValues} of ${distinctValues.length} values. Use "Contains" or "Equals" for the rest.`;
+      valueList.appendChild(note);
+    }
+    panel.appendChild(valueList);
+
+    const updateInputs = () => {
+      valueInput.style.display = ['contains', 'equals'].includes(operatorSelect.value) ? '' : 'none';
+      valueList.style.display = operatorSelect.value === 'values' ? '' : 'none';
+    };
+    operatorSelect.addEventListener('change', updateInputs);
+    updateInputs();
+
+    // A filter without a value or without any picked values is the same as no filter.
+    const apply = () => {
+      const operator = operatorSelect.value;
+      const values = Array.from(valueList.querySelectorAll('input:checked')).map(checkbox => checkbox.value);
+      const value = valueInput.value.trim();
+      const isEmpty = (['contains', 'equals'].includes(operator) && !value) || (operator === 'values' && !values.length);
+      closeHeaderPanel();
+      setColumnFilter(columnName, isEmpty ? null : { operator, value, values });
+    };
+
+    const actions = document.createElement('div');
+    actions.className = 'button-row';
+    const applyButton = document.createElement('button');
+    applyButton.className = 'btn btn-primary';
+    applyButton.textContent = 'Apply';
+    applyButton.addEventListener('click', apply);
+    const clearButton = document.createElement('button');
+    clearButton.className = 'btn btn-secondary';
+    clearButton.textContent = 'Clear';
+    clearButton.addEventListener('click', () => {
+      closeHeaderPanel();
+      setColumnFilter(columnName, null);
+    });
+    actions.appendChild(applyButton);
+    actions.appendChild(clearButton);
+    panel.appendChild(actions);
+
+    panel.addEventListener('keydown', event => {
+      if (event.key === 'Enter' && event.target === valueInput) apply();
+      if (event.key === 'Escape') closeHeaderPanel();
+    });
+
+    showHeaderPanel(panel, anchor, container);
+    (valueInput.style.display === 'none' ? operatorSelect : valueInput).focus();
+  }
+
+  // Header panels are placed under the column they belong to, inside the table container.
+  function showHeaderPanel(panel, anchor, container) {
+    const anchorRect = anchor.getBoundingClientRect();
+    const containerRect = container.getBoundingClientRect();
+    panel.style.left = `${Math.max(0, anchorRect.left - containerRect.left)}px`;
+    panel.style.top = `${anchorRect.bottom - containerRect.top}px`;
+    container.appendChild(panel);
+    headerPanel = panel;
+  }
+
+  function createPanelButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn ${className}`;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function getHeaderCell(columnIndex) {
+    return tableHead ? tableHead.querySelectorAll('th.sortable')[columnIndex] || null : null;
+  }
+
+  function openColumnPanel(columnIndex, anchor) {
+    closeHeaderPanel();
+    const container = tableWrapper && tableWrapper.parentElement;
+    if (!container || !anchor || readOnly) return;
+
+    const columnName = columns[columnIndex];
+    const panel = document.createElement('div');
+    panel.className = 'column-filter-panel';
+
+    const title = document.createElement('h4');
+    title.textContent = `Column "${columnName}"`;
+    panel.appendChild(title);
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'Column name';
+    nameInput.value = columnName;
+    panel.appendChild(nameInput);
+
+    const errorMessage = document.createElement('small');
+    errorMessage.className = 'form-hint column-panel-error';
+    errorMessage.style.display = 'none';
+
+    // Failed actions keep the panel open with the reason under the name box.
+    const run = action => {
+      try {
+        action();
+        closeHeaderPanel();
+      } catch (error) {
+        errorMessage.textContent = error.message;
+        errorMessage.style.display = '';
+      }
+    };
+    const rename = () => run(() => renameColumn(columnIndex, nameInput.value));
+    const insert = offset => {
+      closeHeaderPanel();
+      const index = insertColumn(columnIndex + offset);
+      openColumnPanel(index, getHeaderCell(index));
+    };
+
+    const renameRow = document.createElement('div');
+    renameRow.className = 'button-row';
+    renameRow.appendChild(createPanelButton('Rename', 'btn-primary', rename));
+    panel.appendChild(renameRow);
+    panel.appendChild(errorMessage);
+
+    const moveRow = document.createElement('div');
+    moveRow.className = 'button-row';
+    const moveLeft = createPanelButton('◀ Move Left', 'btn-secondary', () => run(() => moveColumn(columnIndex, columnIndex - 1)));
+    moveLeft.disabled = columnIndex === 0;
+    const moveRight = createPanelButton('Move Right ▶', 'btn-secondary', () => run(() => moveColumn(columnIndex, columnIndex + 1)));
+    moveRight.disabled = columnIndex === columns.length - 1;
+    moveRow.appendChild(moveLeft);
+    moveRow.appendChild(moveRight);
+    panel.appendChild(moveRow);
+
+    const insertRow = document.createElement('div');
+    insertRow.className = 'button-row';
+    insertRow.appendChild(createPanelButton('Insert Left', 'btn-secondary', () => insert(0)));
+    insertRow.appendChild(createPanelButton('Insert Right', 'btn-secondary', () => insert(1)));
+    insertRow.appendChild(createPanelButton('Delete Column', 'btn-danger', () => run(() => deleteColumn(columnIndex))));
+    panel.appendChild(insertRow);
+
+    panel.addEventListener('keydown', event => {
+      if (event.key === 'Enter' && event.target === nameInput) rename();
+      if (event.key === 'Escape') closeHeaderPanel();
+    });
+
+    showHeaderPanel(panel, anchor, container);
+    nameInput.focus();
+    nameInput.select();
+  }
+
+  function measureColumnWidth(columnIndex) {
+    // The header also holds the sort indicator.
+    let longest = columns[columnIndex].length + 2;
+    const sampleEnd = Math.min(rows.length, widthSampleRows);
+    for (let r = 0; r < sampleEnd; r++) {
+      longest = Math.max(longest, getDisplayText(rows[r][columnIndex], columnFormats[columnIndex]).length);
     }
+    return Math.min(maxColumnWidth, Math.max(minColumnWidth, longest * charWidth + cellPadding));
+  }
+
+  function renderHeader() {
+    selectAllCheckbox = null;
+    tableHead.innerHTML = '';
+    if (!hasData()) return;
 
     const headerRow = document.createElement('tr');
 
     const selectHeader = document.createElement('th');
     selectHeader.classList.add('select-column');
+    selectHeader.style.width = `${selectColumnWidth}px`;
     const selectInput = document.createElement('input');
     selectInput.type = 'checkbox';
     selectInput.addEventListener('click', event => event.stopPropagation());
@@ -197,8 +870,14 @@ const DataTable = (function() {
     selectAllCheckbox = selectInput;
 
     columns.forEach((column, columnIndex) => {
+      if (!columnWidths[columnIndex]) {
+        columnWidths[columnIndex] = measureColumnWidth(columnIndex);
+      }
+
       const th = document.createElement('th');
       th.classList.add('sortable');
+      th.classList.toggle('sort-disabled', readOnly);
+      th.style.width = `${columnWidths[columnIndex]}px`;
 
       const headerContent = document.createElement('div');
       headerContent.className = 'header-content';
@@ -216,7 +895,30 @@ const DataTable = (function() {
         indicator.textContent = '↕';
       }
 
+      const filterButton = document.createElement('button');
+      filterButton.type = 'button';
+      filterButton.className = 'filter-toggle';
+      filterButton.textContent = '⏷';
+      filterButton.title = `Filter ${column}`;
+      filterButton.classList.toggle('filter-active', columnFilters.has(column));
+      filterButton.addEventListener('click', event => {
+        event.stopPropagation();
+        openFilterPanel(columnIndex, th);
+      });
+
+      const menuButton = document.createElement('button');
+      menuButton.type = 'button';
+      menuButton.className = 'filter-toggle';
+      menuButton.textContent = '⋯';
+      menuButton.title = `Rename, move or delete ${column}`;
+      menuButton.addEventListener('click', event => {
+        event.stopPropagation();
+        openColumnPanel(columnIndex, th);
+      });
+
       headerContent.appendChild(headerLabel);
+      headerContent.appendChild(filterButton);
+      headerContent.appendChild(menuButton);
       headerContent.appendChild(indicator);
       th.appendChild(headerContent);
       th.addEventListener('click', event => {
@@ -228,49 +930,485 @@ const DataTable = (function() {
     });
 
     tableHead.appendChild(headerRow);
+    if (tableElement) {
+      tableElement.style.width = `${columnWidths.reduce((total, width) => total + width, selectColumnWidth)}px`;
+    }
+  }
 
-    rows.forEach(row => {
-      const tr = document.createElement('tr');
+  function updateCell(td, row, columnIndex, rowChanges) {
+    const value = row[columnIndex];
+    const text = getDisplayText(value, columnFormats[columnIndex]);
+    td.textContent = text;
+    td.className = typeof value === 'number' || value instanceof Date ? 'cell-typed' : '';
+    td.removeAttribute('title');
+
+    const change = rowChanges && rowChanges[columns[columnIndex]];
+    const edited = editedCells.get(row);
+    if (change) {
+      td.classList.add('cell-changed');
+      td.title = `In file: ${change.before || '(blank)'}\nIn directory: ${change.after || '(blank)'}`;
+    } else if (edited && edited.has(columns[columnIndex])) {
+      td.classList.add('cell-edited');
+      td.title = text ? `Edited in the table: ${text}` : 'Edited in the table';
+    } else if (text.length * charWidth + cellPadding > columnWidths[columnIndex]) {
+      // Cells do not wrap, so text cut off by the column width is shown on hover.
+      td.title = text;
+    }
+  }
 
-      const selectCell = document.createElement('td');
-      selectCell.classList.add('select-column');
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.checked = selectedRows.has(row);
-      checkbox.addEventListener('click', event => event.stopPropagation());
-      checkbox.addEventListener('change', () => toggleRowSelection(row, checkbox.checked));
-      selectCell.appendChild(checkbox);
-      tr.appendChild(selectCell);
+  function renderRow(row) {
+    const tr = document.createElement('tr');
+    tr.dataset.rowId = rowIds.get(row);
+
+    const selectCell = document.createElement('td');
+    selectCell.classList.add('select-column');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedRows.has(row);
+    selectCell.appendChild(checkbox);
+    tr.appendChild(selectCell);
+
+    if (selectedRows.has(row)) {
+      tr.classList.add('row-selected');
+    }
+    const duplicateGroup = duplicateGroups.get(row);
+    if (duplicateGroup) {
+      tr.classList.add('row-duplicate');
+      // Neighbouring groups alternate tints so they can be told apart when shown together.
+      if (duplicateGroup % 2 === 0) tr.classList.add('row-duplicate-alt');
+      tr.title = `Duplicate group ${duplicateGroup}`;
+    }
+
+    const rowChanges = cellChanges.get(row);
+    columns.forEach((_, idx) => {
+      const td = document.createElement('td');
+      updateCell(td, row, idx, rowChanges);
+      tr.appendChild(td);
+    });
+    return tr;
+  }
+
+  function createSpacerRow(height) {
+    const tr = document.createElement('tr');
+    tr.className = 'spacer-row';
+    const td = document.createElement('td');
+    td.colSpan = columns.length + 1;
+    td.style.height = `${height}px`;
+    tr.appendChild(td);
+    return tr;
+  }
+
+  function getVisibleRange() {
+    const viewportHeight = (tableWrapper && tableWrapper.clientHeight) || defaultViewportHeight;
+    const scrollTop = tableWrapper ? tableWrapper.scrollTop : 0;
+    const headerHeight = tableHead ? tableHead.offsetHeight : 0;
+    const firstVisible = Math.floor(Math.max(0, scrollTop - headerHeight) / rowHeight);
+    return {
+      start: Math.max(0, firstVisible - overscanRows),
+      end: Math.min(viewRows.length, firstVisible + Math.ceil(viewportHeight / rowHeight) + overscanRows)
+    };
+  }
 
-      if (selectedRows.has(row)) {
-        tr.classList.add('row-selected');
+  function renderBody() {
+    if (activeEditor) closeCellEditor(true);
+    const range = hasData() ? getVisibleRange() : { start: 0, end: 0 };
+    const fragment = document.createDocumentFragment();
+    if (range.start > 0) {
+      fragment.appendChild(createSpacerRow(range.start * rowHeight));
+    }
+    for (let idx = range.start; idx < range.end; idx++) {
+      fragment.appendChild(renderRow(viewRows[idx]));
+    }
+    if (range.end < viewRows.length) {
+      fragment.appendChild(createSpacerRow((viewRows.length - range.end) * rowHeight));
+    }
+    if (hasData() && !viewRows.length) {
+      const emptyRow = createSpacerRow(0);
+      emptyRow.className = 'filter-empty-row';
+      emptyRow.cells[0].textContent = 'No rows match the search and filters.';
+      fragment.appendChild(emptyRow);
+    }
+
+    tableBody.innerHTML = '';
+    tableBody.appendChild(fragment);
+    renderedRange = range;
+
+    // Spacer heights assume the default row height until a drawn row can be measured.
+    const sample = tableBody.querySelector('tr[data-row-id]');
+    const measured = sample ? sample.offsetHeight : 0;
+    if (measured && Math.abs(measured - rowHeight) > 1) {
+      rowHeight = measured;
+      renderBody();
+    }
+  }
+
+  function handleScroll() {
+    if (scrollFrame !== null) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = null;
+      if (!hasData()) return;
+      const range = getVisibleRange();
+      if (range.start !== renderedRange.start || range.end !== renderedRange.end) {
+        renderBody();
       }
+    });
+  }
 
-      columns.forEach((_, idx) => {
-        const td = document.createElement('td');
-        td.textContent = formatCell(row[idx]);
-        tr.appendChild(td);
+  // Redraws only the given columns of the rows currently in view.
+  function refreshColumns(columnIndexes) {
+    if (!tableBody) return;
+    tableBody.querySelectorAll('tr[data-row-id]').forEach(tr => {
+      const row = rowsById.get(Number(tr.dataset.rowId));
+      if (!row) return;
+      const rowChanges = cellChanges.get(row);
+      columnIndexes.forEach(idx => {
+        if (tr.cells[idx + 1]) updateCell(tr.cells[idx + 1], row, idx, rowChanges);
       });
+    });
+  }
 
-      tr.addEventListener('click', event => {
-        const target = event.target;
-        if (!target) return;
-        if (target.tagName === 'A' || target.tagName === 'BUTTON' || target.type === 'checkbox') {
-          return;
-        }
-        toggleRowSelection(row, !selectedRows.has(row));
-      });
+  function insertColumnAt(index, name, column = {}) {
+    columns.splice(index, 0, name);
+    columnFormats.splice(index, 0, column.format || '');
+    columnWidths.splice(index, 0, column.width || 0);
+    rows.forEach((row, rowIdx) => {
+      row.splice(index, 0, column.values ? column.values[rowIdx] : '');
+    });
+    if (sortState.columnIndex !== null && sortState.columnIndex >= index) {
+      sortState = { columnIndex: sortState.columnIndex + 1, direction: sortState.direction };
+    }
+  }
+
+  // Returns what was removed, in the current row order, so the column can be put back.
+  function removeColumnAt(index) {
+    const column = {
+      name: columns[index],
+      format: columnFormats[index],
+      width: columnWidths[index],
+      values: rows.map(row => row[index])
+    };
+    columns.splice(index, 1);
+    columnFormats.splice(index, 1);
+    columnWidths.splice(index, 1);
+    rows.forEach(row => row.splice(index, 1));
+    if (sortState.columnIndex === index) {
+      resetSortState();
+    } else if (sortState.columnIndex !== null && sortState.columnIndex > index) {
+      sortState = { columnIndex: sortState.columnIndex - 1, direction: sortState.direction };
+    }
+    return column;
+  }
+
+  function moveColumnAt(from, to) {
+    const sort = sortState;
+    const column = removeColumnAt(from);
+    insertColumnAt(to, column.name, column);
+    if (sort.columnIndex === from) {
+      sortState = { columnIndex: to, direction: sort.direction };
+    }
+  }
+
+  // Highlights, edit marks and filters are keyed by column name, so they follow a rename.
+  function renameColumnAt(index, name) {
+    const previous = columns[index];
+    columns[index] = name;
+    cellChanges.forEach((changes, row) => {
+      if (!changes[previous]) return;
+      const renamed = Object.assign({}, changes, { [name]: changes[previous] });
+      delete renamed[previous];
+      cellChanges.set(row, renamed);
+    });
+    editedCells.forEach(names => {
+      if (names.delete(previous)) names.add(name);
+    });
+    if (columnFilters.has(previous)) {
+      columnFilters.set(name, columnFilters.get(previous));
+      columnFilters.delete(previous);
+    }
+  }
+
+  function forgetColumnMarks(name) {
+    cellChanges.forEach((changes, row) => {
+      if (!changes[name]) return;
+      const remaining = Object.assign({}, changes);
+      delete remaining[name];
+      if (Object.keys(remaining).length) {
+        cellChanges.set(row, remaining);
+      } else {
+        cellChanges.delete(row);
+      }
+    });
+    editedCells.forEach((names, row) => {
+      names.delete(name);
+      if (!names.size) editedCells.delete(row);
+    });
+  }
+
+  function checkColumnIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= columns.length) {
+      throw new Error(`Column ${index + 1} does not exist.`);
+    }
+  }
 
-      tableBody.appendChild(tr);
+  function validateColumnName(name, ignoreIndex) {
+    const columnName = (name || '').toString().trim();
+    if (!columnName) {
+      throw new Error('Enter a name for the column.');
+    }
+    const normalized = columnName.toLowerCase();
+    if (columns.some((column, idx) => idx !== ignoreIndex && column.toLowerCase() === normalized)) {
+      throw new Error(`There is already a column named "${columnName}".`);
+    }
+    return columnName;
+  }
+
+  function getNewColumnName() {
+    let name = 'New Column';
+    for (let suffix = 2; columns.some(column => column.toLowerCase() === name.toLowerCase()); suffix++) {
+      name = `New Column ${suffix}`;
+    }
+    return name;
+  }
+
+  function finishColumnChange() {
+    render();
+    notifyChange('columns');
+  }
+
+  function insertColumn(index, name) {
+    const columnName = name === undefined ? getNewColumnName() : validateColumnName(name, -1);
+    const targetIndex = Math.max(0, Math.min(typeof index === 'number' ? index : columns.length, columns.length));
+    const marks = captureMarks();
+    insertColumnAt(targetIndex, columnName);
+    recordStep({
+      type: 'columns',
+      label: `adding column "${columnName}"`,
+      marks,
+      undo: () => removeColumnAt(targetIndex),
+      redo: () => insertColumnAt(targetIndex, columnName)
+    });
+    finishColumnChange();
+    return targetIndex;
+  }
+
+  function renameColumn(index, name) {
+    checkColumnIndex(index);
+    const previous = columns[index];
+    const columnName = validateColumnName(name, index);
+    if (columnName === previous) return;
+    const marks = captureMarks();
+    renameColumnAt(index, columnName);
+    recordStep({
+      type: 'columns',
+      label: `renaming "${previous}"`,
+      marks,
+      undo: () => renameColumnAt(index, previous),
+      redo: () => renameColumnAt(index, columnName)
+    });
+    finishColumnChange();
+  }
+
+  function moveColumn(from, to) {
+    checkColumnIndex(from);
+    checkColumnIndex(to);
+    if (from === to) return;
+    const marks = captureMarks();
+    moveColumnAt(from, to);
+    recordStep({
+      type: 'columns',
+      label: `moving "${columns[to]}"`,
+      marks,
+      undo: () => moveColumnAt(to, from),
+      redo: () => moveColumnAt(from, to)
+    });
+    finishColumnChange();
+  }
+
+  function deleteColumn(index) {
+    checkColumnIndex(index);
+    const marks = captureMarks();
+    const name = columns[index];
+    const filter = columnFilters.get(name);
+    const column = removeColumnAt(index);
+    const forget = () => {
+      forgetColumnMarks(name);
+      columnFilters.delete(name);
+    };
+    forget();
+    recordStep({
+      type: 'columns',
+      label: `deleting column "${name}"`,
+      marks,
+      undo: () => {
+        insertColumnAt(index, name, column);
+        if (filter) columnFilters.set(name, filter);
+      },
+      redo: () => {
+        removeColumnAt(index);
+        forget();
+      }
+    });
+    finishColumnChange();
+  }
+
+  function getEditText(value) {
+    return value instanceof Date ? formatDate(value) : getDisplayText(value, '');
+  }
+
+  // Typed text is stored as text, except that a number typed over a number stays a number.
+  function parseEditedValue(text, previous) {
+    const trimmed = text.trim();
+    if (typeof previous === 'number' && trimmed !== '' && Number.isFinite(Number(trimmed))) {
+      return Number(trimmed);
+    }
+    return text;
+  }
+
+  function markEdited(row, columnName) {
+    if (!editedCells.has(row)) editedCells.set(row, new Set());
+    editedCells.get(row).add(columnName);
+    // A compare highlight describes the old value, so it is dropped once the cell is edited.
+    const changes = cellChanges.get(row);
+    if (changes && changes[columnName]) {
+      const remaining = Object.assign({}, changes);
+      delete remaining[columnName];
+      if (Object.keys(remaining).length) {
+        cellChanges.set(row, remaining);
+      } else {
+        cellChanges.delete(row);
+      }
+    }
+  }
+
+  function editCell(row, columnIndex, value) {
+    const before = row[columnIndex];
+    const after = formatCell(value);
+    if (before === after) return false;
+
+    const columnName = columns[columnIndex];
+    const marks = captureMarks();
+    row[columnIndex] = after;
+    markEdited(row, columnName);
+    recordStep({
+      type: 'values',
+      label: `edit in "${columnName}"`,
+      marks,
+      undo: () => {
+        row[columnIndex] = before;
+      },
+      redo: () => {
+        row[columnIndex] = after;
+      }
     });
+    if (isFiltered()) {
+      refreshView();
+    } else {
+      refreshColumns([columnIndex]);
+    }
+    notifyChange('values', [columnName]);
+    return true;
+  }
+
+  function openCellEditor(td, row, columnIndex) {
+    closeCellEditor(true);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'cell-editor';
+    input.value = getEditText(row[columnIndex]);
+    activeEditor = { input, td, row, columnIndex, initialText: input.value };
+
+    td.textContent = '';
+    td.removeAttribute('title');
+    td.appendChild(input);
+    input.addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        closeCellEditor(true);
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        closeCellEditor(false);
+      }
+    });
+    input.addEventListener('blur', () => closeCellEditor(true));
+    input.focus();
+    input.select();
+  }
+
+  function closeCellEditor(commit) {
+    const editor = activeEditor;
+    if (!editor) return;
+    activeEditor = null;
+
+    const text = editor.input.value;
+    const isCurrentRow = rowsById.get(rowIds.get(editor.row)) === editor.row;
+    const changed = commit && isCurrentRow && text !== editor.initialText
+      && editCell(editor.row, editor.columnIndex, parseEditedValue(text, editor.row[editor.columnIndex]));
+    if (!changed && editor.td.isConnected) {
+      updateCell(editor.td, editor.row, editor.columnIndex, cellChanges.get(editor.row));
+    }
+  }
+
+  function handleBodyDoubleClick(event) {
+    const td = event.target && event.target.closest ? event.target.closest('td') : null;
+    const row = getRowFromElement(td);
+    if (readOnly || !row || td.classList.contains('select-column') || td.querySelector('.cell-editor')) return;
+    openCellEditor(td, row, td.cellIndex - 1);
+  }
+
+  function handleBodyClick(event) {
+    const target = event.target;
+    if (!target) return;
+    if (target.tagName === 'A' || target.tagName === 'BUTTON' || target.tagName === 'INPUT') {
+      return;
+    }
+    const row = getRowFromElement(target);
+    if (row) {
+      toggleRowSelection(row, !selectedRows.has(row));
+    }
+  }
+
+  function handleBodyChange(event) {
+    const target = event.target;
+    if (!target || target.type !== 'checkbox') return;
+    const row = getRowFromElement(target);
+    if (row) {
+      toggleRowSelection(row, target.checked);
+    }
+  }
+
+  function render() {
+    if (!tableHead || !tableBody) return;
+
+    const scrollTop = tableWrapper ? tableWrapper.scrollTop : 0;
+
+    applyFilters();
+    renderHeader();
+
+    if (!hasData()) {
+      tableBody.innerHTML = '';
+      renderedRange = { start: 0, end: 0 };
+      updateSummary();
+      updateEmptyState();
+      updateDeleteButtonState();
+      updateSelectAllState();
+      updateFilterControls();
+      if (tableWrapper) {
+        tableWrapper.scrollTop = 0;
+      }
+      return;
+    }
+
+    renderBody();
 
     updateSummary();
     updateEmptyState();
     updateSelectAllState();
     updateDeleteButtonState();
+    updateFilterControls();
 
-    if (tableWrapper) {
+    if (tableWrapper && tableWrapper.scrollTop !== scrollTop) {
       tableWrapper.scrollTop = scrollTop;
+      renderBody();
     }
   }
 
@@ -278,6 +1416,49 @@ const DataTable = (function() {
     return columns.length > 0 && rows.length > 0;
   }
 
+  function ensureColumn(columnName, preferredIndex) {
+    const normalized = columnName.toLowerCase();
+    const existingIndex = columns.findIndex(col => col.toLowerCase() === normalized);
+    if (existingIndex !== -1) {
+      return existingIndex;
+    }
+
+    const targetIndex = Math.max(0, Math.min(
+      typeof preferredIndex === 'number' ? preferredIndex : columns.length,
+      columns.length
+    ));
+    insertColumnAt(targetIndex, columnName);
+    return targetIndex;
+  }
+
+  function writeFieldValues(fieldLabels, valueLookup, options) {
+    const mode = options.mode === 'index' ? 'index' : 'end';
+    let insertionIndex = mode === 'index'
+      ? Math.max(0, Math.min(options.index ?? columns.length, columns.length))
+      : columns.length;
+
+    // Columns listed in fillBlanks keep their existing values and only receive values for empty cells.
+    const fillBlanks = new Set(options.fillBlanks || []);
+    const targetIndexes = [];
+
+    fieldLabels.forEach(label => {
+      const targetIndex = ensureColumn(label, insertionIndex);
+      targetIndexes.push(targetIndex);
+      const values = valueLookup[label] || [];
+      const keepExisting = fillBlanks.has(label);
+      rows.forEach((row, rowIdx) => {
+        if (values[rowIdx] === undefined) return;
+        if (keepExisting && formatCell(row[targetIndex]) !== '') return;
+        row[targetIndex] = formatCell(values[rowIdx]);
+      });
+      // New columns go after the previous one so they keep the order they were given in.
+      if (targetIndex >= insertionIndex) {
+        insertionIndex = targetIndex + 1;
+      }
+    });
+    return targetIndexes;
+  }
+
   function normalizeColumnName(name) {
     return (name || '')
       .toString()
@@ -294,6 +1475,51 @@ const DataTable = (function() {
       summaryElement = document.getElementById('tableSummary');
       emptyStateElement = document.getElementById('tableEmptyState');
       deleteButton = document.getElementById('deleteSelectedButton');
+      if (tableBody) {
+        tableBody.addEventListener('click', handleBodyClick);
+        tableBody.addEventListener('change', handleBodyChange);
+        tableBody.addEventListener('dblclick', handleBodyDoubleClick);
+      }
+      if (tableWrapper) {
+        tableWrapper.addEventListener('scroll', handleScroll);
+      }
+      searchInput = document.getElementById('tableSearch');
+      if (searchInput) {
+        searchInput.addEventListener('input', handleSearchInput);
+      }
+      duplicatesOnlyCheckbox = document.getElementById('showDuplicatesOnly');
+      if (duplicatesOnlyCheckbox) {
+        duplicatesOnlyCheckbox.addEventListener('change', () => setDuplicatesOnly(duplicatesOnlyCheckbox.checked));
+      }
+      clearFiltersButton = document.getElementById('clearFiltersButton');
+      if (clearFiltersButton) {
+        clearFiltersButton.addEventListener('click', clearFilters);
+      }
+      selectMatchingButton = document.getElementById('selectMatchingButton');
+      if (selectMatchingButton) {
+        selectMatchingBaseLabel = selectMatchingButton.dataset.label || selectMatchingButton.textContent.trim();
+        selectMatchingButton.addEventListener('click', () => handleSelectAll(true));
+      }
+      document.addEventListener('mousedown', event => {
+        if (headerPanel && !headerPanel.contains(event.target)) closeHeaderPanel();
+      });
+      document.addEventListener('keydown', handleHistoryKeys);
+      undoButton = document.getElementById('undoButton');
+      if (undoButton) {
+        undoButton.addEventListener('click', undo);
+      }
+      redoButton = document.getElementById('redoButton');
+      if (redoButton) {
+        redoButton.addEventListener('click', redo);
+      }
+      const addColumnButton = document.getElementById('addColumnButton');
+      if (addColumnButton) {
+        addColumnButton.addEventListener('click', () => {
+          if (!hasData() || readOnly) return;
+          const index = insertColumn(columns.length);
+          openColumnPanel(index, getHeaderCell(index));
+        });
+      }
       if (deleteButton) {
         deleteButtonBaseLabel = deleteButton.dataset.label || deleteButton.textContent.trim();
         deleteButton.addEventListener('click', removeSelectedRows);
@@ -302,15 +1528,26 @@ const DataTable = (function() {
     },
 
     clear: function() {
+      closeCellEditor(false);
       columns = [];
+      columnFormats = [];
+      columnWidths = [];
       rows = [];
+      rowsById.clear();
+      rowIndexById = null;
       selectedRows.clear();
+      resetFilters();
+      cellChanges.clear();
+      editedCells.clear();
+      duplicateGroups.clear();
+      clearHistory();
       resetSortState();
       render();
       notifyChange('data');
     },
 
-    loadData: function(newColumns, newRows) {
+    loadData: function(newColumns, newRows, options = {}) {
+      closeCellEditor(false);
       columns = Array.isArray(newColumns)
         ? newColumns.map((col, idx) => {
             const label = (col === undefined || col === null || col === '')
@@ -319,8 +1556,17 @@ const DataTable = (function() {
             return label;
           })
         : [];
-      rows = Array.isArray(newRows) ? newRows.map(normalizeRow) : [];
+      columnFormats = columns.map((_, idx) => (Array.isArray(options.formats) && options.formats[idx]) || '');
+      columnWidths = [];
+      rowsById.clear();
+      rowIndexById = null;
+      rows = Array.isArray(newRows) ? newRows.map(row => assignRowId(normalizeRow(row))) : [];
       selectedRows.clear();
+      resetFilters();
+      cellChanges.clear();
+      editedCells.clear();
+      duplicateGroups.clear();
+      clearHistory();
       resetSortState();
       render();
       notifyChange('data');
@@ -344,6 +1590,13 @@ const DataTable = (function() {
       return rows.map(row => row.slice());
     },
 
+    getRowId: function(rowIndex) {
+      return rows[rowIndex] ? rowIds.get(rows[rowIndex]) : null;
+    },
+
+    // -1 when the row has been deleted or a different table was loaded.
+    getRowIndex: getRowIndexById,
+
     getCellValue: function(rowIndex, columnIndex) {
       if (!rows[rowIndex] || columnIndex < 0 || columnIndex >= columns.length) {
         return '';
@@ -351,55 +1604,108 @@ const DataTable = (function() {
       return formatCell(rows[rowIndex][columnIndex]);
     },
 
-    ensureColumn: function(columnName, preferredIndex) {
-      const normalized = columnName.toLowerCase();
-      let existingIndex = columns.findIndex(col => col.toLowerCase() === normalized);
-      if (existingIndex !== -1) {
-        return existingIndex;
+    getCellText: function(rowIndex, columnIndex) {
+      if (!rows[rowIndex] || columnIndex < 0 || columnIndex >= columns.length) {
+        return '';
       }
-
-      const targetIndex = Math.max(0, Math.min(
-        typeof preferredIndex === 'number' ? preferredIndex : columns.length,
-        columns.length
-      ));
-
-      columns.splice(targetIndex, 0, columnName);
-      rows.forEach(row => {
-        row.splice(targetIndex, 0, '');
-      });
-      return targetIndex;
+      return getDisplayText(rows[rowIndex][columnIndex], columnFormats[columnIndex]);
     },
 
+    ensureColumn,
+
+    // Recorded like fetched values, so later undo and redo steps still match the table.
     setColumnValues: function(columnIndex, values) {
-      rows.forEach((row, idx) => {
-        row[columnIndex] = formatCell(values[idx]);
+      if (columnIndex < 0 || columnIndex >= columns.length) return;
+      const marks = captureMarks();
+      const changedRows = rows.slice();
+      const previousValues = changedRows.map(row => row[columnIndex]);
+      const nextValues = changedRows.map((_, idx) => formatCell(values[idx]));
+      const writeValues = list => changedRows.forEach((row, idx) => {
+        row[columnIndex] = list[idx];
       });
-      render();
-      notifyChange('data');
+      writeValues(nextValues);
+      recordStep({
+        type: 'values',
+        label: `values in "${columns[columnIndex]}"`,
+        marks,
+        undo: () => writeValues(previousValues),
+        redo: () => writeValues(nextValues)
+      });
+      if (isFiltered()) {
+        refreshView();
+      } else {
+        refreshColumns([columnIndex]);
+      }
+      notifyChange('values', [columns[columnIndex]]);
     },
 
     applyFieldValues: function(fieldLabels, valueLookup, options = {}) {
       if (!Array.isArray(fieldLabels) || fieldLabels.length === 0) {
         return;
       }
-      const mode = options.mode === 'index' ? 'index' : 'end';
-      let insertionIndex = mode === 'index'
-        ? Math.max(0, Math.min(options.index ?? columns.length, columns.length))
-        : columns.length;
-
+      const marks = captureMarks();
+      const columnCount = columns.length;
+      const previousColumns = columns.slice();
+      const previousWidths = columnWidths.slice();
+      // Existing columns that are about to be written, with their old values in the current row order.
+      const previousValues = new Map();
       fieldLabels.forEach(label => {
-        const targetIndex = this.ensureColumn(label, insertionIndex);
-        const values = valueLookup[label] || [];
-        rows.forEach((row, rowIdx) => {
-          row[targetIndex] = formatCell(values[rowIdx]);
-        });
-        if (mode === 'index' && targetIndex >= insertionIndex) {
-          insertionIndex = targetIndex + 1;
+        const index = columns.findIndex(col => col.toLowerCase() === label.toLowerCase());
+        if (index !== -1 && !previousValues.has(index)) {
+          previousValues.set(index, rows.map(row => row[index]));
         }
       });
 
-      render();
-      notifyChange('data');
+      const targetIndexes = writeFieldValues(fieldLabels, valueLookup, options);
+      recordStep({
+        type: 'values',
+        label: 'fetched values',
+        marks,
+        undo: () => {
+          for (let idx = columns.length - 1; idx >= 0; idx--) {
+            if (!previousColumns.includes(columns[idx])) removeColumnAt(idx);
+          }
+          previousValues.forEach((values, index) => {
+            rows.forEach((row, rowIdx) => {
+              row[index] = values[rowIdx];
+            });
+          });
+          columnWidths = previousWidths.slice();
+        },
+        redo: () => writeFieldValues(fieldLabels, valueLookup, options)
+      });
+
+      // Existing columns are updated in place; new columns shift the layout, so the table is redrawn.
+      if (columns.length !== columnCount) {
+        render();
+      } else if (isFiltered()) {
+        refreshView();
+      } else {
+        refreshColumns(targetIndexes);
+      }
+      notifyChange('values', targetIndexes.map(index => columns[index]));
+    },
+
+    // changesByRow is indexed like the rows; undefined entries are left as they are, empty objects clear a row.
+    setCellChanges: function(changesByRow) {
+      changesByRow.forEach((changes, rowIndex) => {
+        const row = rows[rowIndex];
+        if (!row || changes === undefined) return;
+        if (changes && Object.keys(changes).length) {
+          cellChanges.set(row, changes);
+        } else {
+          cellChanges.delete(row);
+        }
+      });
+      if (tableBody && hasData()) renderBody();
+    },
+
+    getCellChanges: function(rowIndex) {
+      return (rows[rowIndex] && cellChanges.get(rows[rowIndex])) || null;
+    },
+
+    hasCellChanges: function() {
+      return cellChanges.size > 0;
     },
 
     findEmailColumn: function() {
@@ -415,13 +1721,58 @@ const DataTable = (function() {
       return normalizedColumns.findIndex(col => /mail|email/.test(col));
     },
 
-    getDataForExport: function() {
+    // Rows keep typed values for Excel; asText returns what the table shows, for CSV and reports.
+    getDataForExport: function(options = {}) {
       return {
         columns: this.getColumns(),
-        rows: this.getRows()
+        rows: options.asText
+          ? rows.map(row => columns.map((_, idx) => getDisplayText(row[idx], columnFormats[idx])))
+          : this.getRows(),
+        formats: columnFormats.slice()
       };
     },
 
-    deleteSelectedRows: removeSelectedRows
+    deleteSelectedRows: removeSelectedRows,
+
+    // Ids of rows whose cell in the named column was edited by hand.
+    getEditedRowIds: function(columnName) {
+      const ids = [];
+      editedCells.forEach((names, row) => {
+        if (names.has(columnName)) ids.push(rowIds.get(row));
+      });
+      return ids;
+    },
+
+    clearEditedCells: function(rowIdsToClear, columnName) {
+      rowIdsToClear.forEach(rowId => {
+        const row = rowsById.get(rowId);
+        const names = row && editedCells.get(row);
+        if (!names) return;
+        names.delete(columnName);
+        if (!names.size) editedCells.delete(row);
+      });
+      const columnIndex = columns.indexOf(columnName);
+      if (columnIndex !== -1) refreshColumns([columnIndex]);
+    },
+
+    // groups is a list of row id lists; an empty list removes the highlighting.
+    setDuplicateGroups,
+    getDuplicateGroupCount: function() {
+      return getDuplicateGroupRows().length;
+    },
+    resolveDuplicates,
+
+    setReadOnly: function(value) {
+      readOnly = Boolean(value);
+      if (readOnly) {
+        closeCellEditor(true);
+        closeHeaderPanel();
+      }
+      if (tableHead) {
+        tableHead.querySelectorAll('th.sortable').forEach(th => th.classList.toggle('sort-disabled', readOnly));
+      }
+      updateHistoryButtons();
+      updateDeleteButtonState();
+    }
   };
 })();
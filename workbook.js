@@ -0,0 +1,303 @@
+// Uploaded Excel workbook state so other sheets survive enrichment and export
+const Workbook = (function() {
+  'use strict';
+
+  let workbook = null;
+  let fileName = '';
+  let activeSheet = '';
+  // Table contents for sheets that were changed in the app, keyed by sheet name.
+  const editedSheets = new Map();
+  const headerSettings = new Map();
+  const formatSampleRows = 20;
+  const minColumnWidth = 10;
+  const maxColumnWidth = 60;
+  const appendedHeaderStyle = {
+    font: { bold: true },
+    fill: { patternType: 'solid', fgColor: { rgb: 'DDEBF7' } }
+  };
+
+  function getAttribute(tag, name) {
+    const match = new RegExp(`\\b${name}="([^"]*)"`).exec(tag);
+    return match ? match[1] : '';
+  }
+
+  function readZipText(zip, path) {
+    const entry = XLSX.CFB.find(zip, path);
+    return entry ? new TextDecoder().decode(entry.content) : '';
+  }
+
+  // SheetJS does not read frozen panes, so they are taken from the sheet XML and kept as "!freeze".
+  function readFrozenPanes(buffer, book) {
+    try {
+      const zip = XLSX.CFB.read(new Uint8Array(buffer), { type: 'array' });
+      const targets = {};
+      (readZipText(zip, '/xl/_rels/workbook.xml.rels').match(/<Relationship\b[^>]*>/g) || []).forEach(tag => {
+        targets[getAttribute(tag, 'Id')] = getAttribute(tag, 'Target');
+      });
+
+      (readZipText(zip, '/xl/workbook.xml').match(/<sheet\b[^>]*>/g) || []).forEach((tag, index) => {
+        const target = targets[getAttribute(tag, 'r:id')];
+        const worksheet = book.Sheets[book.SheetNames[index]];
+        if (!target || !worksheet) return;
+
+        const path = target.startsWith('/') ? target : `/xl/${target}`;
+        const pane = /<pane\b[^>]*state="frozen[^"]*"[^>]*>/.exec(readZipText(zip, path));
+        if (pane) {
+          worksheet['!freeze'] = {
+            xSplit: Number(getAttribute(pane[0], 'xSplit')) || 0,
+            ySplit: Number(getAttribute(pane[0], 'ySplit')) || 0
+          };
+        }
+      });
+    } catch (error) {
+      // Legacy .xls files are not zip packages; they are loaded without frozen panes.
+      console.warn('Unable to read frozen panes:', error);
+    }
+  }
+
+  function parse(buffer) {
+    const parsed = XLSX.read(buffer, { type: 'array', cellDates: true, cellNF: true, cellStyles: true });
+    if (!parsed.SheetNames.length) {
+      throw new Error('The workbook does not contain any sheets.');
+    }
+    readFrozenPanes(buffer, parsed);
+    return parsed;
+  }
+
+  function load(parsed, name) {
+    workbook = parsed;
+    fileName = name || '';
+    activeSheet = '';
+    editedSheets.clear();
+    headerSettings.clear();
+    return getSheetNames();
+  }
+
+  function clear() {
+    workbook = null;
+    fileName = '';
+    activeSheet = '';
+    editedSheets.clear();
+    headerSettings.clear();
+  }
+
+  function hasWorkbook() {
+    return Boolean(workbook);
+  }
+
+  function getSheetNames() {
+    return workbook ? workbook.SheetNames.slice() : [];
+  }
+
+  function getDefaultSheet(book = workbook) {
+    return book && book.SheetNames.length ? book.SheetNames[0] : '';
+  }
+
+  function readSheetRows(name, options = {}) {
+    const book = options.book || workbook;
+    const worksheet = book ? book.Sheets[name] : null;
+    if (!worksheet) {
+      throw new Error(`The workbook does not contain a sheet named "${name}".`);
+    }
+    if (!worksheet['!ref']) return [];
+
+    // Rows are indexed from A1 and blank rows are kept so row numbers match the spreadsheet.
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+    const rows = XLSX.utils.sheet_to_json(worksheet, {
+      header: 1,
+      defval: '',
+      blankrows: true,
+      // Formatted text keeps what Excel shows, e.g. leading zeros from a "00000" number format.
+      raw: !options.asText,
+      range: { s: { r: 0, c: 0 }, e: range.e }
+    });
+
+    // Merged cells only store a value in their top-left cell; repeat it so merged headers name every column.
+    (worksheet['!merges'] || []).forEach(merge => {
+      const value = rows[merge.s.r] ? rows[merge.s.r][merge.s.c] : '';
+      for (let r = merge.s.r; r <= merge.e.r; r++) {
+        if (!rows[r]) rows[r] = [];
+        for (let c = merge.s.c; c <= merge.e.c; c++) {
+          rows[r][c] = value;
+        }
+      }
+    });
+    return rows;
+  }
+
+  // The most common explicit number format in the first data rows stands for the whole column.
+  function readColumnFormats(name, table, book = workbook) {
+    const worksheet = book ? book.Sheets[name] : null;
+    if (!worksheet) return [];
+
+    const firstRow = table.headerRow + table.headerSpan;
+    return table.columns.map((_, c) => {
+      const counts = new Map();
+      for (let r = firstRow; r < firstRow + formatSampleRows; r++) {
+        const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+        if (cell && (cell.t === 'n' || cell.t === 'd') && cell.z && cell.z !== 'General') {
+          counts.set(cell.z, (counts.get(cell.z) || 0) + 1);
+        }
+      }
+      let format = '';
+      counts.forEach((count, candidate) => {
+        if (!format || count > counts.get(format)) format = candidate;
+      });
+      return format;
+    });
+  }
+
+  function getEditedSheet(name) {
+    return editedSheets.get(name) || null;
+  }
+
+  function saveSheet(name, columns, rows, formats) {
+    if (!workbook || !workbook.Sheets[name]) return;
+    editedSheets.set(name, {
+      columns: columns.slice(),
+      rows: rows.map(row => row.slice()),
+      formats: (formats || []).slice()
+    });
+  }
+
+  // Numbers and dates are measured as their number format shows them, not as String(value)
+  // (which turns a Date into its long toString() text).
+  function getDisplayLength(cell) {
+    if (!cell || cell.v === null || cell.v === undefined) return 0;
+    if (cell.t === 'n' || cell.t === 'd') {
+      try {
+        return XLSX.SSF.format(cell.z || 'General', cell.v).length;
+      } catch (error) {
+        // Formats SSF cannot handle are measured as plain text.
+      }
+    }
+    return String(cell.v).length;
+  }
+
+  function fitColumnWidth(worksheet, rowCount, index) {
+    let longest = 0;
+    for (let r = 0; r <= rowCount; r++) {
+      longest = Math.max(longest, getDisplayLength(worksheet[XLSX.utils.encode_cell({ r, c: index })]));
+    }
+    return Math.min(maxColumnWidth, Math.max(minColumnWidth, longest + 2));
+  }
+
+  // xlsx-js-style reads an all-digit format such as "00000" as a built-in format id; an explicit
+  // negative section keeps the same display while forcing it to be written as a custom format.
+  function toWritableFormat(format) {
+    return /^\d+$/.test(format) ? `${format};-${format}` : format;
+  }
+
+  // Columns that exist in the source keep its width; appended columns are auto-fitted and get a
+  // highlighted header so they stand out from the original data.
+  function buildSheet(columns, rows, options = {}) {
+    const worksheet = XLSX.utils.aoa_to_sheet([columns, ...rows]);
+    const formats = options.formats || [];
+    const sourceColumns = options.sourceColumns || columns;
+    const sourceWidths = (options.source && options.source['!cols']) || [];
+
+    rows.forEach((row, r) => {
+      row.forEach((_, c) => {
+        const cell = worksheet[XLSX.utils.encode_cell({ r: r + 1, c })];
+        if (formats[c] && cell && cell.t === 'n') {
+          cell.z = toWritableFormat(formats[c]);
+        }
+      });
+    });
+
+    // Widths are fitted after the number formats are set, so they match what Excel shows.
+    worksheet['!cols'] = columns.map((column, c) => {
+      const sourceIndex = sourceColumns.indexOf(column);
+      if (sourceIndex === -1) {
+        const header = worksheet[XLSX.utils.encode_cell({ r: 0, c })];
+        if (header) header.s = appendedHeaderStyle;
+        return { wch: fitColumnWidth(worksheet, rows.length, c) };
+      }
+      return sourceWidths[sourceIndex] ? Object.assign({}, sourceWidths[sourceIndex]) : null;
+    });
+
+    if (options.freeze) {
+      worksheet['!freeze'] = Object.assign({}, options.freeze);
+    }
+    return worksheet;
+  }
+
+  function buildExportWorkbook() {
+    const output = XLSX.utils.book_new();
+    // Untouched sheets are copied as-is so their formulas and layout are kept.
+    workbook.SheetNames.forEach(name => {
+      const edited = editedSheets.get(name);
+      const source = workbook.Sheets[name];
+      const settings = headerSettings.get(name) || {};
+      // Title rows are not exported, so a frozen header in the source becomes a frozen first row.
+      const worksheet = edited
+        ? buildSheet(edited.columns, edited.rows, {
+          formats: edited.formats,
+          sourceColumns: settings.columns,
+          source,
+          freeze: source['!freeze'] ? { xSplit: source['!freeze'].xSplit, ySplit: 1 } : null
+        })
+        : source;
+      XLSX.utils.book_append_sheet(output, worksheet, name);
+    });
+    // Defined names and sheet visibility live on the workbook, not on the sheets.
+    if (workbook.Workbook) {
+      output.Workbook = workbook.Workbook;
+    }
+    return output;
+  }
+
+  function buildPaneXml(freeze) {
+    const activePane = freeze.xSplit && freeze.ySplit ? 'bottomRight' : (freeze.ySplit ? 'bottomLeft' : 'topRight');
+    const topLeftCell = XLSX.utils.encode_cell({ r: freeze.ySplit, c: freeze.xSplit });
+    const splits = `${freeze.xSplit ? ` xSplit="${freeze.xSplit}"` : ''}${freeze.ySplit ? ` ySplit="${freeze.ySplit}"` : ''}`;
+    return `<pane${splits} topLeftCell="${topLeftCell}" activePane="${activePane}" state="frozen"/><selection pane="${activePane}"/>`;
+  }
+
+  // Writes the workbook as .xlsx bytes, adding the frozen panes SheetJS leaves out.
+  function write(book) {
+    const data = XLSX.write(book, { type: 'array', bookType: 'xlsx' });
+    const frozen = book.SheetNames.filter(name => {
+      const freeze = book.Sheets[name]['!freeze'];
+      return freeze && (freeze.xSplit || freeze.ySplit);
+    });
+    if (!frozen.length) return new Uint8Array(data);
+
+    const zip = XLSX.CFB.read(new Uint8Array(data), { type: 'array' });
+    frozen.forEach(name => {
+      const entry = XLSX.CFB.find(zip, `/xl/worksheets/sheet${book.SheetNames.indexOf(name) + 1}.xml`);
+      if (!entry) return;
+      const xml = new TextDecoder().decode(entry.content)
+        .replace(/<sheetView\b([^>]*?)\/>/, (_, attributes) => `<sheetView${attributes}>${buildPaneXml(book.Sheets[name]['!freeze'])}</sheetView>`);
+      entry.content = new TextEncoder().encode(xml);
+      entry.size = entry.content.length;
+    });
+    return new Uint8Array(XLSX.CFB.write(zip, { type: 'array', fileType: 'zip' }));
+  }
+
+  return {
+    parse,
+    load,
+    clear,
+    hasWorkbook,
+    getSheetNames,
+    getDefaultSheet,
+    readSheetRows,
+    readColumnFormats,
+    getEditedSheet,
+    saveSheet,
+    buildSheet,
+    buildExportWorkbook,
+    write,
+    getFileName: () => fileName,
+    getActiveSheet: () => activeSheet,
+    setActiveSheet: name => {
+      activeSheet = name;
+    },
+    isEdited: name => editedSheets.has(name),
+    getHeaderSettings: name => headerSettings.get(name) || null,
+    setHeaderSettings: (name, settings) => {
+      headerSettings.set(name, settings);
+    }
+  };
+})();